@@ -0,0 +1,118 @@
+'use strict';
+
+const Rx = require('rx');
+const rxFetch = require('rx-fetch');
+const url = require('url');
+
+const errors = require('./errors');
+
+let auth = module.exports = function (serverUrl, options) {
+  // Since this function is only accessible internally, we assume that
+  // serverUrl and options have been validated already.
+
+  this._sessionUrl = url.resolve(serverUrl, '_session');
+  this._username = options.username;
+  this._password = options.password;
+  this._type = options.type || 'basic';
+  this._cookie = undefined;
+  this._pendingLogin = undefined;
+};
+
+/**
+ * Return the value of an HTTP Basic Authorization header for the configured
+ * credentials. This is used for basic auth and wherever CouchDB itself needs
+ * to present credentials (i.e. replication targets).
+ */
+
+auth.prototype.basicHeader = function () {
+  return 'Basic ' + Buffer.from(this._username + ':' + this._password).toString('base64');
+};
+
+/**
+ * Return true if a 401 response may be cured by logging in again.
+ */
+
+auth.prototype.canRenew = function () {
+  return this._type === 'cookie';
+};
+
+/**
+ * Return an Observable which fires once with the headers that should be added
+ * to an outgoing request. For cookie sessions, this will log in first if there
+ * is no current session. Concurrent callers share a single login request.
+ */
+
+auth.prototype.headers = function () {
+  if (this._type === 'basic') {
+    return Rx.Observable.just({Authorization: this.basicHeader()});
+  }
+
+  return Rx.Observable.defer(() => {
+    if (this._cookie) {
+      return Rx.Observable.just(this._cookie);
+    }
+
+    if (!this._pendingLogin) {
+      this._pendingLogin = this._login()
+        .finally(() => {
+          this._pendingLogin = undefined;
+        })
+        .publishLast().refCount();
+    }
+
+    return this._pendingLogin;
+  }).map(cookie => ({Cookie: cookie}));
+};
+
+auth.prototype._login = function () {
+  const requestOptions = {
+    method: 'post',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({name: this._username, password: this._password})
+  };
+
+  return rxFetch(this._sessionUrl, requestOptions)
+    .flatMap(response => response.ok
+      ? Rx.Observable.just(response)
+      : errors.fromResponse(response, 'post', this._sessionUrl))
+    .map(response => {
+      const cookie = parseSessionCookie(response);
+      if (!cookie) {
+        throw new Error('rxCouch: server did not return a session cookie');
+      }
+      this._cookie = cookie;
+      return cookie;
+    });
+};
+
+const parseSessionCookie = response => {
+  const setCookie = response.headers && response.headers.get('set-cookie');
+  const match = setCookie && setCookie.match(/AuthSession=[^;]*/);
+  return match ? match[0] : undefined;
+};
+
+/**
+ * Inspect a response for a refreshed session cookie. CouchDB sends a new
+ * cookie when the current one is close to expiring.
+ */
+
+auth.prototype.noteResponse = function (response) {
+  if (this._type === 'cookie') {
+    const cookie = parseSessionCookie(response);
+    if (cookie && cookie !== 'AuthSession=') {
+      this._cookie = cookie;
+    }
+  }
+};
+
+/**
+ * Forget the current session cookie (if any). The next request will log in
+ * again.
+ */
+
+auth.prototype.invalidate = function () {
+  this._cookie = undefined;
+};
@@ -0,0 +1,165 @@
+'use strict';
+
+const Rx = require('rx');
+const fs = require('fs');
+
+const errors = require('./errors');
+
+/**
+ * Checkpoint stores remember how far a changes feed has been processed, so
+ * that it can resume from there. A store is any object with these methods:
+ *
+ *    - load(): returns an Observable which sends the saved sequence (or
+ *         undefined if there is none) and completes
+ *    - save(seq): returns an Observable which completes once the sequence
+ *         has been saved
+ *
+ * Two stores are built in: LocalDocCheckpoint and FileCheckpoint.
+ */
+
+/**
+ * Checkpoint store which saves the sequence in a _local document of the
+ * database (i.e. {_id: '_local/<id>', seq: ...}). _local documents are not
+ * replicated, so each replica keeps its own checkpoints.
+ *
+ * @param db (Object) database object from `server.db`
+ * @param id (String) local document ID, with or without the "_local/" prefix
+ */
+
+let LocalDocCheckpoint = function (db, id) {
+  if (!db || typeof (db.getLocal) !== 'function') {
+    throw new Error('rxCouch.LocalDocCheckpoint: invalid db');
+  }
+  if (typeof (id) !== 'string' || id.length === 0) {
+    throw new Error('rxCouch.LocalDocCheckpoint: invalid document ID');
+  }
+
+  this._db = db;
+  this._id = id;
+  this._rev = undefined;
+};
+
+LocalDocCheckpoint.prototype.load = function () {
+  return this._db.getLocal(this._id)
+    .tap(doc => {
+      this._rev = doc._rev;
+    })
+    .map(doc => doc.seq)
+    .catch(err => err instanceof errors.NotFoundError ? Rx.Observable.just(undefined) : Rx.Observable.throw(err));
+};
+
+LocalDocCheckpoint.prototype.save = function (seq) {
+  const put = () => this._db.putLocal({_id: this._id, _rev: this._rev, seq: seq})
+    .tap(result => {
+      this._rev = result.rev;
+    });
+
+  // If we don't know the current revision (or someone else wrote the
+  // document), fetch it and try again.
+
+  return put().catch(err => {
+    if (!(err instanceof errors.ConflictError)) {
+      return Rx.Observable.throw(err);
+    }
+    return this.load().flatMap(put);
+  });
+};
+
+/**
+ * Checkpoint store which saves the sequence in a JSON file (i.e.
+ * {"seq": ...}). Each save writes a temporary file and renames it over the
+ * old one, so a crash never leaves a partial file behind.
+ *
+ * @param path (String) file path
+ */
+
+let FileCheckpoint = function (path) {
+  if (typeof (path) !== 'string' || path.length === 0) {
+    throw new Error('rxCouch.FileCheckpoint: invalid path');
+  }
+
+  this._path = path;
+};
+
+const readFile = Rx.Observable.fromNodeCallback(fs.readFile);
+const writeFile = Rx.Observable.fromNodeCallback(fs.writeFile);
+const rename = Rx.Observable.fromNodeCallback(fs.rename);
+
+FileCheckpoint.prototype.load = function () {
+  return readFile(this._path, 'utf8')
+    .map(text => JSON.parse(text).seq)
+    .catch(err => err.code === 'ENOENT' ? Rx.Observable.just(undefined) : Rx.Observable.throw(err));
+};
+
+FileCheckpoint.prototype.save = function (seq) {
+  const tempPath = this._path + '.tmp';
+  return writeFile(tempPath, JSON.stringify({seq: seq}))
+    .flatMap(() => rename(tempPath, this._path));
+};
+
+/**
+ * Serializes saves to a checkpoint store. Sequences committed while a save is
+ * in progress (or within the same tick) are coalesced, so only the latest one
+ * is written. Used internally by `db.changes`.
+ */
+
+let CheckpointWriter = function (store) {
+  this._store = store;
+  this._pendingSeq = undefined;
+  this._pending = undefined;
+  this._inFlight = undefined;
+};
+
+/**
+ * Request that `seq` be saved. Returns a hot Observable which completes once
+ * it (or a later sequence) has been saved.
+ */
+
+CheckpointWriter.prototype.commit = function (seq) {
+  this._pendingSeq = seq;
+  if (!this._pending) {
+    this._pending = new Rx.AsyncSubject();
+    Rx.Scheduler.default.schedule(null, () => this._saveNext());
+  }
+  return this._pending.asObservable();
+};
+
+/**
+ * Return an Observable which completes once all commits requested so far
+ * have been saved.
+ */
+
+CheckpointWriter.prototype.flush = function () {
+  const waitFor = this._pending || this._inFlight;
+  return waitFor ? waitFor.asObservable() : Rx.Observable.empty();
+};
+
+CheckpointWriter.prototype._saveNext = function () {
+  if (this._inFlight || !this._pending) {
+    return;
+  }
+
+  const seq = this._pendingSeq;
+  const subject = this._inFlight = this._pending;
+  this._pending = undefined;
+
+  this._store.save(seq).subscribe(
+    () => {},
+    err => {
+      this._inFlight = undefined;
+      subject.onError(err);
+      this._saveNext();
+    },
+    () => {
+      this._inFlight = undefined;
+      subject.onNext(seq);
+      subject.onCompleted();
+      this._saveNext();
+    });
+};
+
+module.exports = {
+  LocalDocCheckpoint,
+  FileCheckpoint,
+  CheckpointWriter
+};
@@ -1,32 +1,97 @@
 'use strict';
 
 const Rx = require('rx');
-const rxFetch = require('rx-fetch');
 const deepEqual = require('deep-eql');
-const deepMerge = require('deepmerge');
 const shallowCopy = require('shallow-copy');
 const querystring = require('querystring');
 
-let db = module.exports = function (dbUrl, server) {
+const checkpoint = require('./checkpoint');
+const diffValues = require('./diff');
+const errors = require('./errors');
+const liveQuery = require('./liveQuery');
+const merge = require('./merge');
+const mirror = require('./mirror');
+const patch = require('./patch');
+const retry = require('./retry');
+const sharedChanges = require('./sharedChanges');
+const stream = require('./stream');
+
+let db = module.exports = function (dbUrl, server, options) {
   // Since this function is only accessible internally, we assume that dbUrl
-  // has been validated already.
+  // and options have been validated already.
 
   this._dbUrl = dbUrl;
   this._server = server;
+  this._merge = options && options.merge;
   this._changesFetchCount = 0;
 };
 
+// Encode a document ID for use in a URL. CouchDB expects the slash after
+// the _design/ or _local/ prefix to remain unescaped; everything else
+// (including any further slashes) must be escaped.
+
+const encodeDocId = docId => {
+  const prefixMatch = /^(_design|_local)\/(.+)$/.exec(docId);
+  return prefixMatch
+    ? prefixMatch[1] + '/' + encodeURIComponent(prefixMatch[2])
+    : encodeURIComponent(docId);
+};
+
 const makeDocUrl = (dbUrl, docId, queryOptions) =>
-  dbUrl + '/' + docId + (queryOptions ? ('?' + querystring.stringify(queryOptions)) : '');
+  dbUrl + '/' + encodeDocId(docId) + (queryOptions ? ('?' + querystring.stringify(queryOptions)) : '');
+
+// Attachment names may contain slashes, which must be escaped.
+
+const makeAttachmentUrl = (dbUrl, docId, name, queryOptions) =>
+  dbUrl + '/' + encodeDocId(docId) + '/' + encodeURIComponent(name) +
+    (queryOptions ? ('?' + querystring.stringify(queryOptions)) : '');
+
+// Option names which are interpreted by rx-couch itself rather than being
+// passed along to CouchDB as query parameters.
+
+const requestOptionNames = ['retry', 'requestTimeout'];
+
+// Split an options object into CouchDB query options and rx-couch request
+// options. Either half is undefined if it would be empty.
+
+const splitOptions = options => {
+  if (!options || typeof (options) !== 'object') {
+    return {query: options, request: undefined};
+  }
+
+  let query;
+  let request;
+  Object.keys(options).forEach(key => {
+    if (requestOptionNames.indexOf(key) !== -1) {
+      request = request || {};
+      request[key] = options[key];
+    } else {
+      query = query || {};
+      query[key] = options[key];
+    }
+  });
+
+  return {query: query, request: request};
+};
+
+const withRequestOptions = (fetchOptions, requestOptions) =>
+  requestOptions ? Object.assign({}, fetchOptions, requestOptions) : fetchOptions;
 
 /**
  * Retrieve the value of an existing document.
  *
- * If an options object is provided, it is converted to query options.
+ * If an options object is provided, it is converted to query options. The
+ * `retry` and `requestTimeout` options are not sent to CouchDB; they override
+ * the server's retry policy and request timeout for this request.
  *
  * Returns an Observable which will fire exactly once on success. The result will
  * contain the CouchDB response object decoded from JSON.
  *
+ * Pass `attachments: true` to receive attachment content inline (base64
+ * encoded in each attachment's `data`). Add `multipart: true` to receive it
+ * as multipart/related instead, which avoids the base64 overhead; each
+ * attachment's `data` is then a Buffer.
+ *
  * See http://docs.couchdb.org/en/latest/api/document/common.html#get--db-docid
  * for valid request options and response objects.
  */
@@ -40,9 +105,21 @@ db.prototype.get = function (id, options) {
     throw new Error('rxCouch.db.get: invalid document ID');
   }
 
-  const getUrl = makeDocUrl(this._dbUrl, id, options);
+  const splitOpts = splitOptions(options);
 
-  return rxFetch(getUrl, {headers: {Accept: 'application/json'}}).json();
+  if (splitOpts.query && splitOpts.query.multipart) {
+    let queryOptions = Object.assign({}, splitOpts.query, {attachments: true});
+    delete queryOptions.multipart;
+
+    const multipartUrl = makeDocUrl(this._dbUrl, id, queryOptions);
+    return this._server._fetch(multipartUrl,
+      withRequestOptions({headers: {Accept: 'multipart/related'}}, splitOpts.request)).document();
+  }
+
+  const getUrl = makeDocUrl(this._dbUrl, id, splitOpts.query);
+
+  return this._server._fetch(getUrl,
+    withRequestOptions({headers: {Accept: 'application/json'}}, splitOpts.request)).json();
 };
 
 /**
@@ -58,9 +135,15 @@ db.prototype.get = function (id, options) {
  *
  * See http://docs.couchdb.org/en/latest/api/document/common.html#put--db-docid
  * and http://docs.couchdb.org/en/latest/api/database/common.html#post--db.
+ *
+ * @param value (Object) new document value
+ * @param options (optional, Object) request options
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy;
+ *         only updates that carry a _rev are retried
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
  */
 
-db.prototype.put = function (value) {
+db.prototype.put = function (value, options) {
   if (!value) {
     throw new Error('rxCouch.db.put: missing document value');
   }
@@ -75,24 +158,24 @@ db.prototype.put = function (value) {
   const requestMethod = docId ? 'put' : 'post';
   const postUrl = docId ? makeDocUrl(this._dbUrl, docId) : this._dbUrl;
 
-  let options = {
+  let requestOptions = withRequestOptions({
     method: requestMethod,
     headers: {
       Accept: 'application/json',
       'Content-Type': 'application/json'
     }
-  };
+  }, splitOptions(options).request);
 
   if (valueCopy._rev) {
-    options.headers['If-Match'] = valueCopy._rev;
+    requestOptions.headers['If-Match'] = valueCopy._rev;
     delete valueCopy._rev;
   }
 
   delete valueCopy._id;
 
-  options.body = JSON.stringify(valueCopy);
+  requestOptions.body = JSON.stringify(valueCopy);
 
-  return rxFetch(postUrl, options).json();
+  return this._server._fetch(postUrl, requestOptions).json();
 };
 
 /**
@@ -102,16 +185,32 @@ db.prototype.put = function (value) {
  * to update or create. It must *NOT* contain a _rev field, as the revision ID
  * will be automatically populated from the existing document (if any).
  *
+ * By default, objects are merged recursively and arrays are merged element by
+ * element (as the deepmerge package does). The `merge` option (or the `merge`
+ * option given to `server.db`) changes this; see ./merge. To remove a field,
+ * set it to `rxCouch.deleteField`, or use merge: {patch: 'mergePatch'} and
+ * set it to null.
+ *
  * Conceptually, this function does get -> merge content -> put atomically, although
  * it is possible that the operation will fail if a competing update happens
- * in the interim.
+ * in the interim. Set `maxAttempts` to start over (get -> merge -> put) when
+ * that happens.
  *
  * Returns an Observable which will fire exactly once on success. The result will
  * contain the CouchDB response object decoded from JSON
  * (i.e. {id: "document ID", ok: true, rev: "new revision ID"}.
+ *
+ * @param value (Object) new document content
+ * @param options (optional, Object) request options
+ *    - maxAttempts: (optional, Number) total attempts to make in the face of
+ *         conflicts; defaults to 1 (i.e. a conflict is reported as an error)
+ *    - merge: (optional, Object) overrides this db's merge options
+ *         ({patch, arrays, unionKey}; see ./merge)
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
  */
 
-db.prototype.update = function (value) {
+db.prototype.update = function (value, options) {
   if (!value) {
     throw new Error('rxCouch.db.update: missing document value');
   }
@@ -129,35 +228,13 @@ db.prototype.update = function (value) {
     throw new Error('rxCouch.db.update: _rev is not allowed');
   }
 
-  return this.get(id)
-    .catch(err => {
-      // If no such document, create an empty placeholder document.
-      // Otherwise, just rethrow the error.
-
-      /* istanbul ignore else */
-      if (err.message.match(/HTTP Error 404/)) {
-        return Rx.Observable.just({_id: id});
-      } else {
-        return Rx.Observable.throw(err);
-      }
-    })
-    .flatMapLatest(oldValue => {
-      // Apply new content as a delta against existing doc value,
-      // but only if there is an actual change.
+  const maxAttempts = maxAttemptsFrom(options, 'update', 1);
 
-      const newValue = deepMerge(oldValue, value);
+  merge.validate(options && options.merge, 'rxCouch.db.update: options');
+  const mergeOptions = Object.assign({}, this._merge, options && options.merge);
 
-      if (deepEqual(oldValue, newValue)) {
-        return Rx.Observable.just({
-          id: id,
-          ok: true,
-          rev: oldValue._rev,
-          noop: true
-        });
-      } else {
-        return this.put(deepMerge(oldValue, value));
-      }
-    });
+  return modifyDocument(this, id, oldValue => merge.merge(oldValue, value, mergeOptions),
+    maxAttempts, splitOptions(options).request);
 };
 
 /**
@@ -173,14 +250,22 @@ db.prototype.update = function (value) {
  *
  * Conceptually, this function does get -> replace content -> put atomically,
  * although it is possible that the operation will fail if a competing update happens
- * in the interim.
+ * in the interim. Set `maxAttempts` to start over (get -> replace -> put) when
+ * that happens.
  *
  * Returns an Observable which will fire exactly once on success. The result will
  * contain the CouchDB response object decoded from JSON
  * (i.e. {id: "document ID", ok: true, rev: "new revision ID"}.
+ *
+ * @param value (Object) new document content
+ * @param options (optional, Object) request options
+ *    - maxAttempts: (optional, Number) total attempts to make in the face of
+ *         conflicts; defaults to 1 (i.e. a conflict is reported as an error)
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
  */
 
-db.prototype.replace = function (value) {
+db.prototype.replace = function (value, options) {
   if (!value) {
     throw new Error('rxCouch.db.replace: missing document value');
   }
@@ -198,23 +283,136 @@ db.prototype.replace = function (value) {
     throw new Error('rxCouch.db.replace: _rev is not allowed');
   }
 
-  return this.get(id)
+  return modifyDocument(this, id, () => value,
+    maxAttemptsFrom(options, 'replace', 1), splitOptions(options).request);
+};
+
+/**
+ * Apply a function to the current value of a document and write the result.
+ * If the document does not exist, the function receives {_id: id} and the
+ * document is created.
+ *
+ * `fn` receives a copy of the current document value and must return the new
+ * value; it should have no side effects, since it may be called more than once.
+ * The returned value's _id and _rev are ignored. If it is exactly the same as
+ * the existing content, no write occurs.
+ *
+ * If a competing update causes the write to fail with a conflict, the document
+ * is fetched again and `fn` is reapplied, up to `maxAttempts` times in total.
+ *
+ * Returns an Observable which will fire exactly once on success. The result will
+ * contain the CouchDB response object decoded from JSON
+ * (i.e. {id: "document ID", ok: true, rev: "new revision ID"}, plus
+ * noop: true if no write was needed).
+ *
+ * @param id (String) document ID
+ * @param fn (Function) oldValue => newValue
+ * @param options (optional, Object)
+ *    - maxAttempts: (optional, Number) total attempts to make in the face of
+ *         conflicts; defaults to 5
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
+ */
+
+db.prototype.modify = function (id, fn, options) {
+  if (!id) {
+    throw new Error('rxCouch.db.modify: missing document ID');
+  }
+
+  if (typeof (id) !== 'string') {
+    throw new Error('rxCouch.db.modify: invalid document ID');
+  }
+
+  if (typeof (fn) !== 'function') {
+    throw new Error('rxCouch.db.modify: fn must be a function');
+  }
+
+  return modifyDocument(this, id, fn, maxAttemptsFrom(options, 'modify', 5), splitOptions(options).request);
+};
+
+/**
+ * Apply RFC 6902 JSON Patch operations to a document and write the result.
+ * For example: [{op: 'replace', path: '/status', value: 'done'},
+ * {op: 'add', path: '/tags/-', value: 'urgent'}].
+ *
+ * If any operation fails (including a 'test' operation), nothing is written
+ * and the Observable fails. As with `update`, no write occurs if the patch
+ * makes no change, and `maxAttempts` reapplies the patch to the latest
+ * revision after a conflict. (Use 'test' operations to guard against
+ * applying a patch to content you haven't seen.)
+ *
+ * Returns an Observable which will fire exactly once on success. The result will
+ * contain the CouchDB response object decoded from JSON.
+ *
+ * @param id (String) document ID
+ * @param ops (Array) JSON Patch operations
+ * @param options (optional, Object)
+ *    - maxAttempts: (optional, Number) total attempts to make in the face of
+ *         conflicts; defaults to 1
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
+ */
+
+db.prototype.patch = function (id, ops, options) {
+  if (!id) {
+    throw new Error('rxCouch.db.patch: missing document ID');
+  }
+
+  if (typeof (id) !== 'string') {
+    throw new Error('rxCouch.db.patch: invalid document ID');
+  }
+
+  patch.validate(ops, 'rxCouch.db.patch');
+
+  return modifyDocument(this, id, oldValue => patch.apply(oldValue, ops),
+    maxAttemptsFrom(options, 'patch', 1), splitOptions(options).request);
+};
+
+const maxAttemptsFrom = (options, apiName, defaultValue) => {
+  if (options && typeof (options) !== 'object') {
+    throw new Error('rxCouch.db.' + apiName + ': options, if present, must be an object');
+  }
+
+  const maxAttempts = options && options.maxAttempts;
+  if (maxAttempts === undefined) {
+    return defaultValue;
+  }
+
+  if (typeof (maxAttempts) !== 'number' || maxAttempts < 1) {
+    throw new Error('rxCouch.db.' + apiName + ': options.maxAttempts, if present, must be a positive number');
+  }
+
+  return maxAttempts;
+};
+
+// Shared implementation of update, replace, and modify: get -> apply fn ->
+// put, skipping the put if nothing changed and starting over on a conflict.
+
+const modifyDocument = (self, id, fn, maxAttempts, requestOptions) => {
+  const attempt = attemptNumber => self.get(id, requestOptions)
     .catch(err => {
       // If no such document, create an empty placeholder document.
       // Otherwise, just rethrow the error.
 
-      /* istanbul ignore else */
-      if (err.message.match(/HTTP Error 404/)) {
+      if (err instanceof errors.NotFoundError) {
         return Rx.Observable.just({_id: id});
       } else {
         return Rx.Observable.throw(err);
       }
     })
     .flatMapLatest(oldValue => {
-      // Apply new content as a delta against existing doc value,
-      // but only if there is an actual change.
+      const fnResult = fn(JSON.parse(JSON.stringify(oldValue)));
+      if (!fnResult || typeof (fnResult) !== 'object') {
+        throw new Error('rxCouch.db.modify: fn must return an object');
+      }
 
-      const newValue = deepMerge(value, {_rev: oldValue._rev});
+      let newValue = Object.assign({}, fnResult, {_id: id});
+      delete newValue._rev;
+      if (oldValue._rev) {
+        newValue._rev = oldValue._rev;
+      }
+
+      // Only write if there is an actual change.
 
       if (deepEqual(oldValue, newValue)) {
         return Rx.Observable.just({
@@ -224,11 +422,196 @@ db.prototype.replace = function (value) {
           noop: true
         });
       } else {
-        return this.put(newValue);
+        return self.put(newValue, requestOptions);
+      }
+    })
+    .catch(err => {
+      if (err instanceof errors.ConflictError && attemptNumber < maxAttempts) {
+        return attempt(attemptNumber + 1);
+      } else {
+        return Rx.Observable.throw(err);
       }
     });
+
+  return Rx.Observable.defer(() => attempt(1));
+};
+
+/**
+ * Retrieve the revision history of a document.
+ *
+ * Returns an Observable which sends one value per known revision, newest
+ * first, of the form {rev, status, doc}. `status` is as reported by CouchDB's
+ * revs_info ('available', 'missing', or 'deleted'); `doc` is the body of that
+ * revision if CouchDB still has it (i.e. it has not been compacted away).
+ *
+ * See http://docs.couchdb.org/en/latest/api/document/common.html#obtaining-an-extended-revision-history
+ *
+ * @param id (String) document ID
+ * @param options (optional, Object) request options
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
+ */
+
+db.prototype.revisions = function (id, options) {
+  if (!id) {
+    throw new Error('rxCouch.db.revisions: missing document ID');
+  }
+
+  if (typeof (id) !== 'string') {
+    throw new Error('rxCouch.db.revisions: invalid document ID');
+  }
+
+  const requestOptions = splitOptions(options).request;
+
+  return this.get(id, Object.assign({revs_info: true}, requestOptions))
+    .flatMapLatest(current => {
+      const revsInfo = current._revs_info || [{rev: current._rev, status: 'available'}];
+      const availableRevs = revsInfo
+        .filter(info => info.status === 'available')
+        .map(info => info.rev);
+
+      const bodies = availableRevs.length === 0
+        ? Rx.Observable.just([])
+        : this.get(id, Object.assign({open_revs: JSON.stringify(availableRevs)}, requestOptions));
+
+      return bodies.flatMap(results => {
+        let docsByRev = {};
+        results.forEach(result => {
+          if (result.ok) {
+            docsByRev[result.ok._rev] = result.ok;
+          }
+        });
+
+        return Rx.Observable.from(revsInfo.map(info => {
+          let revision = {rev: info.rev, status: info.status};
+          if (docsByRev[info.rev]) {
+            revision.doc = docsByRev[info.rev];
+          }
+          return revision;
+        }));
+      });
+    });
+};
+
+/**
+ * Compare two revisions of a document.
+ *
+ * Returns an Observable which will fire exactly once on success with an
+ * object of the form {id, from, to, changes}, where `changes` lists each
+ * field that was added, removed, or changed between revision `revA` and
+ * revision `revB` (see ./diff for the format). The _rev field is ignored.
+ *
+ * Fails with a NotFoundError if either revision's body is no longer available.
+ *
+ * @param id (String) document ID
+ * @param revA (String) older revision ID
+ * @param revB (String) newer revision ID
+ * @param options (optional, Object) request options
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
+ */
+
+db.prototype.diff = function (id, revA, revB, options) {
+  if (!id) {
+    throw new Error('rxCouch.db.diff: missing document ID');
+  }
+
+  if (typeof (id) !== 'string') {
+    throw new Error('rxCouch.db.diff: invalid document ID');
+  }
+
+  if (typeof (revA) !== 'string' || revA.length === 0 || typeof (revB) !== 'string' || revB.length === 0) {
+    throw new Error('rxCouch.db.diff: invalid revision ID');
+  }
+
+  const requestOptions = splitOptions(options).request;
+
+  const getRevision = rev => this.get(id, Object.assign({rev: rev}, requestOptions))
+    .map(doc => {
+      let docCopy = shallowCopy(doc);
+      delete docCopy._rev;
+      return docCopy;
+    });
+
+  return Rx.Observable.zip(getRevision(revA), getRevision(revB), (docA, docB) => ({
+    id: id,
+    from: revA,
+    to: revB,
+    changes: diffValues(docA, docB)
+  }));
+};
+
+/**
+ * Retrieve a local (non-replicated) document. The "_local/" prefix is
+ * added to the ID if it isn't already present.
+ *
+ * Returns an Observable which will fire exactly once on success. The result will
+ * contain the document value decoded from JSON.
+ *
+ * See http://docs.couchdb.org/en/latest/api/local.html
+ *
+ * @param id (String) local document ID, with or without the "_local/" prefix
+ * @param options (optional, Object) request options
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
+ */
+
+db.prototype.getLocal = function (id, options) {
+  if (typeof (id) !== 'string' || id.replace(/^_local\//, '').length === 0) {
+    throw new Error('rxCouch.db.getLocal: invalid document ID');
+  }
+
+  return this.get(localDocId(id), splitOptions(options).request);
+};
+
+/**
+ * Create or update a local (non-replicated) document. The value must contain
+ * an _id field; the "_local/" prefix is added if it isn't already present. To
+ * update an existing local document, include its current _rev.
+ *
+ * Returns an Observable which will fire exactly once on success. The result will
+ * contain the CouchDB response object decoded from JSON
+ * (i.e. {id: "_local/...", ok: true, rev: "0-2"}).
+ *
+ * @param value (Object) document content
+ * @param options (optional, Object) request options
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
+ */
+
+db.prototype.putLocal = function (value, options) {
+  if (!value || typeof (value) !== 'object') {
+    throw new Error('rxCouch.db.putLocal: invalid document value');
+  }
+
+  if (typeof (value._id) !== 'string' || value._id.replace(/^_local\//, '').length === 0) {
+    throw new Error('rxCouch.db.putLocal: invalid document ID');
+  }
+
+  // Local documents take their revision from the body rather than If-Match.
+
+  let valueCopy = shallowCopy(value);
+  const putUrl = makeDocUrl(this._dbUrl, localDocId(value._id));
+  delete valueCopy._id;
+  if (!valueCopy._rev) {
+    delete valueCopy._rev;
+  }
+
+  const requestOptions = withRequestOptions({
+    method: 'put',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(valueCopy),
+    idempotent: !!valueCopy._rev
+  }, splitOptions(options).request);
+
+  return this._server._fetch(putUrl, requestOptions).json();
 };
 
+const localDocId = id => /^_local\//.test(id) ? id : '_local/' + id;
+
 /**
  * Delete an existing document. You must pass a valid, existing document ID
  * and the current revision ID for that document.
@@ -238,9 +621,15 @@ db.prototype.replace = function (value) {
  *
  * See http://docs.couchdb.org/en/latest/api/document/common.html#get--db-docid
  * for valid request options and response objects.
+ *
+ * @param id (String) document ID
+ * @param rev (String) current revision ID
+ * @param options (optional, Object) request options
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
  */
 
-db.prototype.delete = function (id, rev) {
+db.prototype.delete = function (id, rev, options) {
   if (!id) {
     throw new Error('rxCouch.db.delete: missing document ID');
   }
@@ -259,143 +648,1772 @@ db.prototype.delete = function (id, rev) {
 
   const deleteUrl = makeDocUrl(this._dbUrl, id);
 
-  const requestOptions = {
+  const requestOptions = withRequestOptions({
     method: 'delete',
     headers: {
       Accept: 'application/json',
       'If-Match': rev
     }
-  };
+  }, splitOptions(options).request);
 
-  return rxFetch(deleteUrl, requestOptions).json();
+  return this._server._fetch(deleteUrl, requestOptions).json();
 };
 
 /**
- * Retrieve all documents, or a specific subset of documents.
+ * Create or replace an attachment. If the document does not exist yet, pass
+ * null for `rev` and it will be created.
  *
- * If an options object is provided, it is converted to query options.
+ * `data` may be a Buffer, a string, or a readable stream (Node.js or WHATWG),
+ * which is streamed to CouchDB as it is read. (A stream can only be read once,
+ * so stream uploads are never retried.)
  *
- * Returns an Observable which will fire once on success. The result will
+ * Returns an Observable which will fire exactly once on success. The result will
  * contain the CouchDB response object decoded from JSON.
  *
- * See http://docs.couchdb.org/en/latest/api/database/bulk-api.html#get--db-_all_docs
- * for valid request options and response objects.
+ * See http://docs.couchdb.org/en/latest/api/document/attachments.html#put--db-docid-attname
+ *
+ * @param id (String) document ID
+ * @param rev (String or null) current revision ID of the document
+ * @param name (String) attachment name
+ * @param data (Buffer, String, or stream) attachment content
+ * @param contentType (String) MIME type of the content (i.e. 'image/png')
+ * @param options (optional, Object) request options
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
  */
 
-db.prototype.allDocs = function (options) {
-  // Ugh. CouchDB croaks on unquoted strings for some option values.
+db.prototype.putAttachment = function (id, rev, name, data, contentType, options) {
+  if (typeof (id) !== 'string' || id.length === 0) {
+    throw new Error('rxCouch.db.putAttachment: invalid document ID');
+  }
 
-  let fixedOptions = options;
-  if (typeof (options) === 'object') {
-    fixedOptions = {};
-    Object.keys(options).forEach(key => {
-      let value = options[key];
-      if (typeof (value) === 'string' && !value.match(/^".*"$/)) {
-        value = '"' + value + '"';
-      }
-      fixedOptions[key] = value;
-    });
+  if (rev !== undefined && rev !== null && (typeof (rev) !== 'string' || rev.length === 0)) {
+    throw new Error('rxCouch.db.putAttachment: invalid revision ID');
   }
 
-  const getUrl = this._dbUrl + '/_all_docs' +
-    (fixedOptions ? ('?' + querystring.stringify(fixedOptions)) : '');
+  if (typeof (name) !== 'string' || name.length === 0) {
+    throw new Error('rxCouch.db.putAttachment: invalid attachment name');
+  }
+
+  const isStream = !!data && (typeof (data.pipe) === 'function' || typeof (data.getReader) === 'function');
+  if (!Buffer.isBuffer(data) && typeof (data) !== 'string' && !isStream) {
+    throw new Error('rxCouch.db.putAttachment: data must be a Buffer, a string, or a stream');
+  }
 
-  return rxFetch(getUrl, {headers: {Accept: 'application/json'}}).json();
+  if (typeof (contentType) !== 'string' || contentType.length === 0) {
+    throw new Error('rxCouch.db.putAttachment: invalid content type');
+  }
+
+  let headers = {
+    Accept: 'application/json',
+    'Content-Type': contentType
+  };
+  if (rev) {
+    headers['If-Match'] = rev;
+  }
+
+  let fetchOptions = {
+    method: 'put',
+    headers: headers,
+    body: data
+  };
+  if (isStream) {
+    // Required by fetch implementations that support streaming request bodies.
+    fetchOptions.duplex = 'half';
+  }
+
+  let requestOptions = withRequestOptions(fetchOptions, splitOptions(options).request);
+  if (isStream) {
+    requestOptions.retry = false;
+  }
+
+  return this._server._fetch(makeAttachmentUrl(this._dbUrl, id, name), requestOptions).json();
 };
 
 /**
- * Create or cancel a replication using this database as target.
- * Return an Observable which sends back the parsed JSON status
- * returned by CouchDB.
+ * Retrieve the content of an attachment.
  *
- * See http://docs.couchdb.org/en/latest/api/server/common.html#replicate for
- * request and response options. Note that the URL for this database ("target")
- * is populated automatically.
+ * Returns an Observable which will fire exactly once on success. By default
+ * the result is a Buffer containing the whole attachment. With `stream: true`,
+ * the result is instead a Node.js Readable stream which delivers the content
+ * as it arrives (the request timeout then covers only the wait for the
+ * response headers).
  *
- * @param options request options
+ * See http://docs.couchdb.org/en/latest/api/document/attachments.html#get--db-docid-attname
  *
- * @return Observable< Object > returns response object when available
+ * @param id (String) document ID
+ * @param name (String) attachment name
+ * @param options (optional, Object)
+ *    - rev: (optional, String) revision of the document to read from
+ *    - stream: (optional, Boolean) send a Readable stream instead of a Buffer
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
  */
 
-db.prototype.replicateFrom = function (options) {
-  if (typeof (options) !== 'object') {
-    throw new Error('rxCouch.db.replicateFrom: options must be an object');
+db.prototype.getAttachment = function (id, name, options) {
+  if (typeof (id) !== 'string' || id.length === 0) {
+    throw new Error('rxCouch.db.getAttachment: invalid document ID');
   }
-  if (options.target) {
-    throw new Error('rxCouch.db.replicateFrom: options.target must not be specified');
+
+  if (typeof (name) !== 'string' || name.length === 0) {
+    throw new Error('rxCouch.db.getAttachment: invalid attachment name');
   }
 
-  let updatedOptions = shallowCopy(options);
-  updatedOptions.target = this._dbUrl;
+  if (options && typeof (options) !== 'object') {
+    throw new Error('rxCouch.db.getAttachment: options, if present, must be an object');
+  }
 
-  return this._server.replicate(updatedOptions);
+  const splitOpts = splitOptions(options);
+  let queryOptions = shallowCopy(splitOpts.query || {});
+  const asStream = queryOptions.stream;
+  delete queryOptions.stream;
+
+  const getUrl = makeAttachmentUrl(this._dbUrl, id, name,
+    Object.keys(queryOptions).length ? queryOptions : undefined);
+  const result = this._server._fetch(getUrl, withRequestOptions({}, splitOpts.request));
+
+  return asStream ? result.nodeStream() : result.buffer();
 };
 
 /**
- * Monitor changes to the database.
- * Return an Observable with sends back the parsed JSON results
- * returned by CouchDB. The results are sent back one-by-one
- * (one for each document).
- *
- * If feed: "longpoll" appears in the options object, the changes
- * feed is monitored continuously until the subscription is dropped.
- * It is an error to use feed: "continuous".
+ * Delete an attachment. You must pass the current revision ID of the document.
  *
- * See http://docs.couchdb.org/en/latest/api/database/changes.html for
- * request and response options.
+ * Returns an Observable which will fire exactly once on success. The result will
+ * contain the CouchDB response object decoded from JSON.
  *
- * @param options request options
+ * See http://docs.couchdb.org/en/latest/api/document/attachments.html#delete--db-docid-attname
  *
- * @return Observable< Object > returns response object when available
+ * @param id (String) document ID
+ * @param rev (String) current revision ID of the document
+ * @param name (String) attachment name
+ * @param options (optional, Object) request options
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
  */
 
-db.prototype.changes = function (options) {
-  if (options && typeof (options) !== 'object') {
-    throw new Error('rxCouch.db.changes: options must be an object');
+db.prototype.deleteAttachment = function (id, rev, name, options) {
+  if (typeof (id) !== 'string' || id.length === 0) {
+    throw new Error('rxCouch.db.deleteAttachment: invalid document ID');
   }
-  if (options && options.feed === 'continuous') {
-    throw new Error('rxCouch.db.changes: feed: "continuous" not supported');
+
+  if (typeof (rev) !== 'string' || rev.length === 0) {
+    throw new Error('rxCouch.db.deleteAttachment: invalid revision ID');
   }
 
-  let fixedOptions = options;
-  if (options) {
-    fixedOptions = {};
-    Object.keys(options).forEach(key => {
-      let value = options[key];
-      if (Array.isArray(value)) {
-        value = '["' + value.join('","') + '"]';
-      }
-      fixedOptions[key] = value;
-    });
+  if (typeof (name) !== 'string' || name.length === 0) {
+    throw new Error('rxCouch.db.deleteAttachment: invalid attachment name');
   }
 
-  const getChangesOnce = () => {
-    const getUrl = this._dbUrl + '/_changes' +
-      (fixedOptions ? ('?' + querystring.stringify(fixedOptions)) : '');
+  const requestOptions = withRequestOptions({
+    method: 'delete',
+    headers: {
+      Accept: 'application/json',
+      'If-Match': rev
+    }
+  }, splitOptions(options).request);
 
-    this._changesFetchCount++;
-      // NOTE: This is only intended for debugging use.
+  return this._server._fetch(makeAttachmentUrl(this._dbUrl, id, name), requestOptions).json();
+};
 
-    return rxFetch(getUrl, {headers: {Accept: 'application/json'}})
-      .json()
+/**
+ * Retrieve all documents, or a specific subset of documents.
+ *
+ * If an options object is provided, it is converted to query options. The
+ * `retry` and `requestTimeout` options override the server's settings for
+ * this request.
+ *
+ * Returns an Observable which will fire once on success. The result will
+ * contain the CouchDB response object decoded from JSON.
+ *
+ * If options contains `stream: true` or `pageSize`, the Observable instead
+ * fires once per row, as each row is parsed from the response, and completes
+ * after the last row. In this mode:
+ *
+ *    - key, keys, startkey, endkey, start_key, and end_key are JSON-encoded,
+ *      so complex keys (i.e. ['a', 1]) and numeric keys work as expected
+ *    - keys are sent in a POST body rather than in the URL
+ *    - pageSize: (optional, Number) if present, the range is fetched in pages
+ *      of this many rows, continuing from the last row of the previous page
+ *      (via startkey and skip=1), until the range or `limit` is exhausted;
+ *      a keys list is split into pages of this many keys
+ *
+ * See http://docs.couchdb.org/en/latest/api/database/bulk-api.html#get--db-_all_docs
+ * for valid request options and response objects.
+ */
+
+db.prototype.allDocs = function (options) {
+  if (options && typeof (options) === 'object' && (options.stream || options.pageSize)) {
+    return queryRows(this, '/_all_docs', options, 'allDocs');
+  }
+
+  const splitOpts = splitOptions(options);
+  const queryOptions = splitOpts.query;
+
+  // Ugh. CouchDB croaks on unquoted strings for some option values.
+
+  let fixedOptions = queryOptions;
+  if (typeof (queryOptions) === 'object') {
+    fixedOptions = {};
+    Object.keys(queryOptions).forEach(key => {
+      let value = queryOptions[key];
+      if (typeof (value) === 'string' && !value.match(/^".*"$/)) {
+        value = '"' + value + '"';
+      }
+      fixedOptions[key] = value;
+    });
+  }
+
+  const getUrl = this._dbUrl + '/_all_docs' +
+    (fixedOptions ? ('?' + querystring.stringify(fixedOptions)) : '');
+
+  return this._server._fetch(getUrl,
+    withRequestOptions({headers: {Accept: 'application/json'}}, splitOpts.request)).json();
+};
+
+// Query parameters whose values CouchDB parses as JSON.
+
+const jsonParamNames = ['key', 'keys', 'startkey', 'endkey', 'start_key', 'end_key'];
+
+const encodeQuery = queryOptions => {
+  let encoded = {};
+  Object.keys(queryOptions).forEach(key => {
+    const value = queryOptions[key];
+    if (value !== undefined) {
+      encoded[key] = jsonParamNames.indexOf(key) !== -1 ? JSON.stringify(value) : value;
+    }
+  });
+  return encoded;
+};
+
+// Send the items of a series of pages, one page after another. For each page,
+// `fetchPage(page)` returns {items, next}: an Observable of that page's items
+// and a function, called once they have all been sent, which returns the next
+// page or undefined if there are no more. Pages are fetched from a loop
+// rather than by chaining each one onto the last with concat, which would
+// pass every item through a layer per earlier page and eventually overflow
+// the stack.
+
+const followPages = (firstPage, fetchPage) => Rx.Observable.create(observer => {
+  let subscription = new Rx.SerialDisposable();
+  let page = firstPage;
+  let isFetching = false;
+  let fetchAgain = false;
+
+  // If a page completes synchronously, the loop below fetches the next one
+  // rather than recursing.
+
+  const fetchPages = () => {
+    fetchAgain = true;
+    if (isFetching) {
+      return;
+    }
+
+    isFetching = true;
+    while (fetchAgain && !subscription.isDisposed) {
+      fetchAgain = false;
+      const current = fetchPage(page);
+      subscription.setDisposable(current.items.subscribe(
+        item => observer.onNext(item),
+        err => observer.onError(err),
+        () => {
+          page = current.next();
+          if (page === undefined) {
+            observer.onCompleted();
+          } else {
+            fetchPages();
+          }
+        }));
+    }
+    isFetching = false;
+  };
+
+  fetchPages();
+  return subscription;
+});
+
+// Shared implementation of row streaming and pagination for _all_docs and
+// views. Returns an Observable which sends each row as it is parsed.
+
+const queryRows = (self, path, options, apiName) => {
+  const splitOpts = splitOptions(options);
+  let queryOptions = shallowCopy(splitOpts.query || {});
+
+  const pageSize = queryOptions.pageSize;
+  if (pageSize !== undefined && (typeof (pageSize) !== 'number' || pageSize < 1)) {
+    throw new Error('rxCouch.db.' + apiName + ': options.pageSize, if present, must be a positive number');
+  }
+
+  const keys = queryOptions.keys;
+  if (keys !== undefined && !Array.isArray(keys)) {
+    throw new Error('rxCouch.db.' + apiName + ': options.keys, if present, must be an array');
+  }
+
+  delete queryOptions.stream;
+  delete queryOptions.pageSize;
+  delete queryOptions.keys;
+
+  const fetchRows = (query, keysPage) => {
+    const encodedQuery = encodeQuery(query);
+    const rowsUrl = self._dbUrl + path +
+      (Object.keys(encodedQuery).length ? ('?' + querystring.stringify(encodedQuery)) : '');
+
+    const fetchOptions = keysPage
+      ? {
+        method: 'post',
+        headers: {
+          Accept: 'application/json',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({keys: keysPage}),
+        idempotent: true
+      }
+      : {headers: {Accept: 'application/json'}};
+
+    return self._server._fetch(rowsUrl, withRequestOptions(fetchOptions, splitOpts.request))
+      .rows('rows')
+      .filter(parsed => parsed.item)
+      .map(parsed => parsed.item);
+  };
+
+  if (!pageSize) {
+    return fetchRows(queryOptions, keys);
+  }
+
+  // With pageSize, limit applies to the rows of all pages together.
+
+  const limit = queryOptions.limit;
+  delete queryOptions.limit;
+
+  if (keys) {
+    return followPages({start: 0, remaining: limit}, page => {
+      let rowCount = 0;
+      const pageQuery = page.remaining === undefined
+        ? queryOptions
+        : Object.assign({}, queryOptions, {limit: page.remaining});
+
+      return {
+        items: fetchRows(pageQuery, keys.slice(page.start, page.start + pageSize))
+          .tap(() => {
+            rowCount++;
+          }),
+
+        next: () => {
+          const nextStart = page.start + pageSize;
+          const stillRemaining = page.remaining === undefined ? undefined : page.remaining - rowCount;
+          if (nextStart >= keys.length || stillRemaining === 0) {
+            return undefined;
+          }
+          return {start: nextStart, remaining: stillRemaining};
+        }
+      };
+    });
+  }
+
+  return followPages({query: queryOptions, remaining: limit}, page => {
+    const pageLimit = page.remaining === undefined ? pageSize : Math.min(pageSize, page.remaining);
+    let rowCount = 0;
+    let lastRow;
+
+    return {
+      items: fetchRows(Object.assign({}, page.query, {limit: pageLimit}))
+        .tap(row => {
+          rowCount++;
+          lastRow = row;
+        }),
+
+      next: () => {
+        const stillRemaining = page.remaining === undefined ? undefined : page.remaining - rowCount;
+        if (rowCount < pageLimit || stillRemaining === 0) {
+          return undefined;
+        }
+
+        // Continue from the last row we saw, skipping that row itself.
+
+        let nextQuery = shallowCopy(page.query);
+        delete nextQuery.start_key;
+        delete nextQuery.start_key_doc_id;
+        delete nextQuery.startkey_docid;
+        nextQuery.startkey = lastRow.key;
+        if (lastRow.id !== undefined) {
+          nextQuery.startkey_docid = lastRow.id;
+        }
+        nextQuery.skip = 1;
+
+        return {query: nextQuery, remaining: stillRemaining};
+      }
+    };
+  });
+};
+
+/**
+ * Create, update, or delete many documents in one request per chunk.
+ *
+ * Returns an Observable which fires once for each document, in the order
+ * given, with the result CouchDB reported for that document. A failure for an
+ * individual document (i.e. a conflict) is reported as a result value of the
+ * form {id: "document ID", error: "conflict", reason: "..."}, not as an onError
+ * notification. onError is used only if an entire request fails.
+ *
+ * Large arrays are split into chunks which are sent one after another.
+ *
+ * See http://docs.couchdb.org/en/latest/api/database/bulk-api.html#post--db-_bulk_docs
+ *
+ * @param docs (Array) document values, including _id and _rev as needed
+ * @param options (optional, Object) options
+ *    - new_edits: (optional, Boolean) if false, CouchDB stores the given
+ *         revisions as-is (as replication does)
+ *    - all_or_nothing: (optional, Boolean) ask CouchDB to apply each chunk
+ *         atomically (CouchDB 1.x only)
+ *    - chunkSize: (optional, Number) maximum number of documents per request
+ *         (default 1000)
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy;
+ *         only applies when new_edits is false, since only then is the request
+ *         safe to repeat
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
+ *
+ * @return Observable< Object > one result per document
+ */
+
+db.prototype.bulkDocs = function (docs, options) {
+  if (!Array.isArray(docs)) {
+    throw new Error('rxCouch.db.bulkDocs: docs must be an array');
+  }
+
+  docs.forEach(doc => {
+    if (!doc || typeof (doc) !== 'object') {
+      throw new Error('rxCouch.db.bulkDocs: invalid document value');
+    }
+  });
+
+  if (options && typeof (options) !== 'object') {
+    throw new Error('rxCouch.db.bulkDocs: options, if present, must be an object');
+  }
+
+  const chunkSize = (options && options.chunkSize) || 1000;
+  if (typeof (chunkSize) !== 'number' || chunkSize < 1) {
+    throw new Error('rxCouch.db.bulkDocs: options.chunkSize, if present, must be a positive number');
+  }
+
+  const newEdits = options && options.new_edits;
+  const allOrNothing = options && options.all_or_nothing;
+
+  const postChunk = chunk => {
+    let body = {docs: chunk};
+    if (newEdits !== undefined) {
+      body.new_edits = newEdits;
+    }
+    if (allOrNothing !== undefined) {
+      body.all_or_nothing = allOrNothing;
+    }
+
+    const requestOptions = withRequestOptions({
+      method: 'post',
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body),
+      idempotent: newEdits === false
+    }, splitOptions(options).request);
+
+    return this._server._fetch(this._dbUrl + '/_bulk_docs', requestOptions)
+      .json()
+      .flatMap(results => Rx.Observable.from(results));
+  };
+
+  let chunks = [];
+  for (let i = 0; i < docs.length; i += chunkSize) {
+    chunks.push(docs.slice(i, i + chunkSize));
+  }
+
+  return Rx.Observable.from(chunks).concatMap(postChunk);
+};
+
+/**
+ * Create or update many documents. This is a convenience wrapper around
+ * bulkDocs which treats each document the way `put` does: include _id to
+ * choose the document ID (omit it to let CouchDB assign one) and include _rev
+ * when updating an existing document. The objects passed in are not altered.
+ *
+ * Returns an Observable which fires once per document, in order, with a result
+ * of the same form `put` returns (i.e. {id: "document ID", ok: true, rev: "new
+ * revision ID"}) or a per-document error (i.e. {id: "document ID", error:
+ * "conflict", reason: "Document update conflict."}).
+ *
+ * @param docs (Array) document values
+ * @param options (optional, Object) options
+ *    - chunkSize: (optional, Number) maximum number of documents per request
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
+ */
+
+db.prototype.putMany = function (docs, options) {
+  if (!Array.isArray(docs)) {
+    throw new Error('rxCouch.db.putMany: docs must be an array');
+  }
+
+  const docCopies = docs.map(doc => {
+    if (!doc) {
+      throw new Error('rxCouch.db.putMany: missing document value');
+    }
+
+    if (typeof (doc) !== 'object') {
+      throw new Error('rxCouch.db.putMany: invalid document value');
+    }
+
+    let docCopy = shallowCopy(doc);
+    if (!docCopy._id) {
+      delete docCopy._id;
+    }
+    if (!docCopy._rev) {
+      delete docCopy._rev;
+    }
+    return docCopy;
+  });
+
+  return this.bulkDocs(docCopies, {
+    chunkSize: options && options.chunkSize,
+    requestTimeout: options && options.requestTimeout
+  });
+};
+
+/**
+ * Retrieve many documents (or specific revisions of them) at once.
+ *
+ * Returns an Observable which fires once for each requested item, in order,
+ * with the document value, as each is parsed from the response. If an item
+ * could not be retrieved, the value sent for it is an error description
+ * instead (i.e. {id: "document ID", rev: "revision ID", error: "not_found",
+ * reason: "missing"}).
+ *
+ * Uses /_bulk_get when the server supports it. Some servers (i.e. CouchDB
+ * 1.x) do not; in that case, we fall back to a POST of _all_docs with keys
+ * (and individual requests for specific revisions). Once we have determined
+ * that the server lacks /_bulk_get, we stop trying it.
+ *
+ * See http://docs.couchdb.org/en/latest/api/database/bulk-api.html#post--db-_bulk_get
+ *
+ * @param items (Array) items to fetch, each of the form {id, rev} (rev is
+ *    optional) or a document ID string
+ * @param options (optional, Object) query options for /_bulk_get (i.e.
+ *    {revs: true}), plus `retry` and `requestTimeout`
+ *
+ * @return Observable< Object > one document (or error) per item
+ */
+
+db.prototype.bulkGet = function (items, options) {
+  if (!Array.isArray(items)) {
+    throw new Error('rxCouch.db.bulkGet: items must be an array');
+  }
+
+  const normalizedItems = items.map(item => {
+    const normalizedItem = typeof (item) === 'string' ? {id: item} : item;
+    if (!normalizedItem || typeof (normalizedItem.id) !== 'string' || normalizedItem.id.length === 0) {
+      throw new Error('rxCouch.db.bulkGet: invalid item');
+    }
+    if (normalizedItem.rev !== undefined && typeof (normalizedItem.rev) !== 'string') {
+      throw new Error('rxCouch.db.bulkGet: invalid revision ID');
+    }
+    return normalizedItem;
+  });
+
+  if (options && typeof (options) !== 'object') {
+    throw new Error('rxCouch.db.bulkGet: options, if present, must be an object');
+  }
+
+  if (normalizedItems.length === 0) {
+    return Rx.Observable.empty();
+  }
+
+  const splitOpts = splitOptions(options);
+
+  const fallback = () => {
+    this._dbDoesNotSupportBulkGet = true;
+    return bulkGetFallback(this, normalizedItems, splitOpts.request);
+  };
+
+  if (this._dbDoesNotSupportBulkGet) {
+    return fallback();
+  }
+
+  const postUrl = this._dbUrl + '/_bulk_get' +
+    (splitOpts.query ? ('?' + querystring.stringify(splitOpts.query)) : '');
+
+  const requestOptions = withRequestOptions({
+    method: 'post',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({docs: normalizedItems}),
+    idempotent: true
+  }, splitOpts.request);
+
+  return this._server._fetch(postUrl, requestOptions)
+    .rows('results')
+    .filter(parsed => parsed.item)
+    .flatMap(parsed => Rx.Observable.from(parsed.item.docs))
+    .map(entry => entry.ok || entry.error)
+    .catch(err => {
+      if (isBulkGetUnsupported(err)) {
+        return fallback();
+      } else {
+        return Rx.Observable.throw(err);
+      }
+    });
+};
+
+// A server without /_bulk_get (i.e. CouchDB 1.x) takes it for a document ID
+// and rejects the request: with a 405, a 501, a 400 other than bad_request
+// (i.e. illegal_docid), or a 404. A 400 bad_request (i.e. for a malformed
+// revision ID) or a 404 because the database is missing is an ordinary
+// failure.
+
+const isBulkGetUnsupported = err =>
+  err instanceof errors.CouchError &&
+  (err.status === 405 || err.status === 501 ||
+    (err.status === 400 && err.error !== 'bad_request') ||
+    (err.status === 404 && !/does not exist|no_db_file/i.test(err.reason || '')));
+
+const bulkGetFallback = (self, items, requestOptions) => {
+  // Items without a specific revision can be fetched in one request via
+  // _all_docs. Items with a revision need one request each.
+
+  const latestIds = items.filter(item => !item.rev).map(item => item.id);
+
+  const fetchLatest = Rx.Observable.defer(() => {
+    if (latestIds.length === 0) {
+      return Rx.Observable.just({});
+    }
+
+    const postOptions = withRequestOptions({
+      method: 'post',
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({keys: latestIds}),
+      idempotent: true
+    }, requestOptions);
+
+    return self._server._fetch(self._dbUrl + '/_all_docs?include_docs=true', postOptions)
+      .json()
+      .map(response => {
+        let rowsById = {};
+        response.rows.forEach(row => {
+          rowsById[row.key] = row;
+        });
+        return rowsById;
+      });
+  });
+
+  const fetchRevision = item => self.get(item.id, Object.assign({rev: item.rev}, requestOptions))
+    .catch(err => {
+      if (err instanceof errors.CouchError && err.status === 404) {
+        return Rx.Observable.just({id: item.id, rev: item.rev, error: err.error, reason: err.reason});
+      } else {
+        return Rx.Observable.throw(err);
+      }
+    });
+
+  const rowToResult = (item, row) => {
+    if (!row || row.error) {
+      return {id: item.id, error: (row && row.error) || 'not_found', reason: 'missing'};
+    } else if (row.value && row.value.deleted) {
+      return {id: item.id, rev: row.value.rev, error: 'not_found', reason: 'deleted'};
+    } else {
+      return row.doc;
+    }
+  };
+
+  return fetchLatest.flatMap(rowsById => Rx.Observable.from(items)
+    .concatMap(item => item.rev
+      ? fetchRevision(item)
+      : Rx.Observable.just(rowToResult(item, rowsById[item.id]))));
+};
+
+/**
+ * Query a map/reduce view defined in a design document.
+ *
+ * Returns an Observable which fires once per row, as each row is parsed from
+ * the response, and completes after the last row. (This is the same as
+ * `allDocs` with `stream: true`.)
+ *
+ * key, keys, startkey, endkey, start_key, and end_key are JSON-encoded, so
+ * complex and numeric keys work as expected. A keys list is sent in a POST
+ * body. Other options (reduce, group, group_level, include_docs, stale,
+ * update, limit, descending, etc.) are passed through as query parameters.
+ *
+ * See http://docs.couchdb.org/en/latest/api/ddoc/views.html for valid query
+ * options and response objects.
+ *
+ * @param ddoc (String) design document name, with or without the
+ *    "_design/" prefix
+ * @param viewName (String) name of the view
+ * @param options (optional, Object) query options, plus:
+ *    - pageSize: (optional, Number) fetch the range in pages of this many
+ *         rows, continuing from the last row seen (via startkey and skip=1)
+ *    - retry, requestTimeout: override the server's settings
+ *
+ * @return Observable< Object > one value per row
+ */
+
+db.prototype.view = function (ddoc, viewName, options) {
+  if (typeof (ddoc) !== 'string' || ddoc.replace(/^_design\//, '').length === 0) {
+    throw new Error('rxCouch.db.view: invalid design document name');
+  }
+
+  if (typeof (viewName) !== 'string' || viewName.length === 0) {
+    throw new Error('rxCouch.db.view: invalid view name');
+  }
+
+  if (options && typeof (options) !== 'object') {
+    throw new Error('rxCouch.db.view: options, if present, must be an object');
+  }
+
+  const viewPath = '/_design/' + encodeURIComponent(ddoc.replace(/^_design\//, '')) +
+    '/_view/' + encodeURIComponent(viewName);
+
+  return queryRows(this, viewPath, options, 'view');
+};
+
+/**
+ * Create or update a design document from JavaScript functions. Functions
+ * anywhere in the definition (i.e. view map and reduce functions, filters,
+ * validate_doc_update, update handlers) are converted to source strings;
+ * strings are passed through as is. If the resulting design document is
+ * exactly the same as the existing one, nothing is written.
+ *
+ * Note that the functions run inside CouchDB, not in this process: they can't
+ * refer to any variables from the surrounding module, and they must only use
+ * syntax that the server's JavaScript engine supports.
+ *
+ * With `warm: true`, changed views are built before they go live: the design
+ * document's language, views, and options are first written as
+ * _design/<name>_staging and one of its views is queried (which builds the
+ * index for all of its views); then the real design document is written, which
+ * reuses that index since its view definitions are identical, and the staging
+ * document is deleted. Queries against the old
+ * views continue to be answered in the meantime.
+ *
+ * Returns an Observable which will fire exactly once on success. The result will
+ * contain the CouchDB response object for the design document write
+ * (i.e. {id: "_design/name", ok: true, rev: "new revision ID"}, plus noop: true
+ * if nothing needed to be written).
+ *
+ * See http://docs.couchdb.org/en/latest/api/ddoc/common.html
+ *
+ * @param name (String) design document name, with or without the "_design/"
+ *    prefix
+ * @param definition (Object) design document content (views, filters,
+ *    validate_doc_update, updates, etc.); language defaults to 'javascript'
+ * @param options (optional, Object)
+ *    - warm: (optional, Boolean) build changed views before deploying them
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request
+ *         timeout; if warm is set, this applies to the view build as well
+ */
+
+db.prototype.deployDesignDoc = function (name, definition, options) {
+  if (typeof (name) !== 'string' || name.replace(/^_design\//, '').length === 0) {
+    throw new Error('rxCouch.db.deployDesignDoc: invalid design document name');
+  }
+
+  if (!definition || typeof (definition) !== 'object' || Array.isArray(definition)) {
+    throw new Error('rxCouch.db.deployDesignDoc: definition must be an object');
+  }
+
+  if (options && typeof (options) !== 'object') {
+    throw new Error('rxCouch.db.deployDesignDoc: options, if present, must be an object');
+  }
+
+  const baseName = name.replace(/^_design\//, '');
+  const ddocId = '_design/' + baseName;
+  const stagingId = ddocId + '_staging';
+  const requestOptions = splitOptions(options).request;
+
+  let content = serializeFunctions(definition);
+  delete content._id;
+  delete content._rev;
+  if (!content.language) {
+    content.language = 'javascript';
+  }
+
+  const deploy = () => this.replace(Object.assign({_id: ddocId}, content), requestOptions);
+
+  const viewNames = Object.keys(content.views || {});
+  if (!(options && options.warm) || viewNames.length === 0) {
+    return deploy();
+  }
+
+  // The staging document holds only what determines the view index, so that
+  // it doesn't also validate writes, answer updates, etc. while it exists.
+
+  let stagingContent = {language: content.language, views: content.views};
+  if (content.options) {
+    stagingContent.options = content.options;
+  }
+
+  const deleteStaging = () => this.get(stagingId, requestOptions)
+    .flatMapLatest(staging => this.delete(stagingId, staging._rev, requestOptions))
+    .catch(err => err instanceof errors.NotFoundError ? Rx.Observable.empty() : Rx.Observable.throw(err))
+    .filter(() => false);
+
+  return this.get(ddocId, requestOptions)
+    .catch(err => err instanceof errors.NotFoundError ? Rx.Observable.just({}) : Rx.Observable.throw(err))
+    .flatMapLatest(existing => {
+      let existingContent = shallowCopy(existing);
+      delete existingContent._id;
+      delete existingContent._rev;
+
+      if (deepEqual(existingContent, content)) {
+        return Rx.Observable.just({id: ddocId, ok: true, rev: existing._rev, noop: true});
+      }
+
+      return this.replace(Object.assign({_id: stagingId}, stagingContent), requestOptions)
+        .flatMapLatest(() => this.view(stagingId, viewNames[0], Object.assign({limit: 0}, requestOptions)))
+        .toArray()
+        .flatMapLatest(deploy)
+        .flatMapLatest(result => deleteStaging().concat(Rx.Observable.just(result)));
+    });
+};
+
+// Convert functions to source strings, recursively. Method definitions
+// (i.e. {map (doc) { ... }}) are converted to function expressions.
+
+const serializeFunctions = value => {
+  if (typeof (value) === 'function') {
+    const source = value.toString();
+    return /^(function\b|\(|[A-Za-z_$][\w$]*\s*=>)/.test(source)
+      ? source
+      : 'function ' + source.replace(/^[^(]*/, '');
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(serializeFunctions);
+  }
+
+  if (value && typeof (value) === 'object') {
+    let result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = serializeFunctions(value[key]);
+    });
+    return result;
+  }
+
+  return value;
+};
+
+/**
+ * Find documents using a Mango query (CouchDB 2.0+).
+ *
+ * Returns an Observable which fires once per matching document, as each
+ * document is parsed from the response, and completes after the last one.
+ *
+ * See http://docs.couchdb.org/en/latest/api/database/find.html for valid
+ * query options.
+ *
+ * @param selector (Object) Mango selector
+ * @param options (optional, Object) query options, sent in the request body
+ *    (fields, sort, limit, skip, bookmark, use_index, etc.), plus:
+ *    - allPages: (optional, Boolean) if true, follow the bookmark returned
+ *         with each page and request the next page, until a page comes back
+ *         empty or short (fewer than `limit` documents)
+ *    - retry, requestTimeout: override the server's settings
+ *
+ * @return Observable< Object > one value per document
+ */
+
+db.prototype.find = function (selector, options) {
+  const splitOpts = splitMangoOptions(selector, options, 'find');
+  const allPages = splitOpts.body.allPages;
+  delete splitOpts.body.allPages;
+
+  return followPages(splitOpts.body, pageBody => {
+    let docCount = 0;
+    let envelope;
+
+    return {
+      items: this._server._fetch(this._dbUrl + '/_find', mangoRequest(pageBody, splitOpts.request))
+        .rows('docs')
+        .filter(parsed => {
+          if (parsed.envelope) {
+            envelope = parsed.envelope;
+            return false;
+          }
+          docCount++;
+          return true;
+        })
+        .map(parsed => parsed.item),
+
+      next: () => {
+        if (!allPages || docCount === 0 || (pageBody.limit && docCount < pageBody.limit) ||
+            !envelope.bookmark || envelope.bookmark === pageBody.bookmark) {
+          return undefined;
+        }
+        return Object.assign({}, pageBody, {bookmark: envelope.bookmark});
+      }
+    };
+  });
+};
+
+/**
+ * Explain how a Mango query would be executed (i.e. which index it would use).
+ *
+ * Returns an Observable which will fire once on success. The result will
+ * contain the CouchDB response object decoded from JSON.
+ *
+ * See http://docs.couchdb.org/en/latest/api/database/find.html#db-explain
+ *
+ * @param selector (Object) Mango selector
+ * @param options (optional, Object) same as `find` (except allPages)
+ */
+
+db.prototype.explain = function (selector, options) {
+  const splitOpts = splitMangoOptions(selector, options, 'explain');
+
+  return this._server._fetch(this._dbUrl + '/_explain', mangoRequest(splitOpts.body, splitOpts.request))
+    .json();
+};
+
+const splitMangoOptions = (selector, options, apiName) => {
+  if (!selector || typeof (selector) !== 'object' || Array.isArray(selector)) {
+    throw new Error('rxCouch.db.' + apiName + ': selector must be an object');
+  }
+
+  if (options && typeof (options) !== 'object') {
+    throw new Error('rxCouch.db.' + apiName + ': options, if present, must be an object');
+  }
+
+  const splitOpts = splitOptions(options);
+  return {
+    body: Object.assign({selector: selector}, splitOpts.query),
+    request: splitOpts.request
+  };
+};
+
+const mangoRequest = (body, requestOptions) => withRequestOptions({
+  method: 'post',
+  headers: {
+    Accept: 'application/json',
+    'Content-Type': 'application/json'
+  },
+  body: JSON.stringify(body),
+  idempotent: true
+}, requestOptions);
+
+/**
+ * Create a Mango index. If an identical index already exists, CouchDB
+ * reports `result: 'exists'` rather than failing, so this is safe to call
+ * each time a service starts.
+ *
+ * Returns an Observable which will fire once on success. The result will
+ * contain the CouchDB response object decoded from JSON
+ * (i.e. {result: 'created', id: '_design/...', name: '...'}).
+ *
+ * See http://docs.couchdb.org/en/latest/api/database/find.html#db-index
+ *
+ * @param index (Object) index definition, as for the request body
+ *    (i.e. {index: {fields: ['type', 'date']}, ddoc: 'by-type', name: 'by-type'})
+ * @param options (optional, Object) request options
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
+ */
+
+db.prototype.createIndex = function (index, options) {
+  if (!index || typeof (index) !== 'object' || !index.index || typeof (index.index) !== 'object') {
+    throw new Error('rxCouch.db.createIndex: invalid index definition');
+  }
+
+  const requestOptions = withRequestOptions({
+    method: 'post',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(index),
+    idempotent: true
+  }, splitOptions(options).request);
+
+  return this._server._fetch(this._dbUrl + '/_index', requestOptions).json();
+};
+
+/**
+ * List the Mango indexes defined in this database.
+ *
+ * Returns an Observable which will fire once on success. The result will be
+ * an array of index descriptions (including the built-in _all_docs index).
+ *
+ * @param options (optional, Object) request options
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
+ */
+
+db.prototype.getIndexes = function (options) {
+  const requestOptions = withRequestOptions({headers: {Accept: 'application/json'}},
+    splitOptions(options).request);
+
+  return this._server._fetch(this._dbUrl + '/_index', requestOptions)
+    .json()
+    .map(response => response.indexes);
+};
+
+/**
+ * Delete a Mango index.
+ *
+ * Returns an Observable which will fire once on success. The result will
+ * contain the CouchDB response object decoded from JSON.
+ *
+ * @param ddoc (String) design document containing the index, with or
+ *    without the "_design/" prefix
+ * @param name (String) index name
+ * @param options (optional, Object) request options
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
+ */
+
+db.prototype.deleteIndex = function (ddoc, name, options) {
+  if (typeof (ddoc) !== 'string' || ddoc.replace(/^_design\//, '').length === 0) {
+    throw new Error('rxCouch.db.deleteIndex: invalid design document name');
+  }
+
+  if (typeof (name) !== 'string' || name.length === 0) {
+    throw new Error('rxCouch.db.deleteIndex: invalid index name');
+  }
+
+  const deleteUrl = this._dbUrl + '/_index/' + encodeURIComponent(ddoc.replace(/^_design\//, '')) +
+    '/json/' + encodeURIComponent(name);
+
+  const requestOptions = withRequestOptions({
+    method: 'delete',
+    headers: {Accept: 'application/json'}
+  }, splitOptions(options).request);
+
+  return this._server._fetch(deleteUrl, requestOptions).json();
+};
+
+/**
+ * Create or cancel a replication using this database as target.
+ * Return an Observable which sends back the parsed JSON status
+ * returned by CouchDB.
+ *
+ * See http://docs.couchdb.org/en/latest/api/server/common.html#replicate for
+ * request and response options. Note that the URL for this database ("target")
+ * is populated automatically. If the server was created with credentials, they
+ * are passed to CouchDB as an Authorization header rather than in the URL.
+ *
+ * @param options request options
+ *
+ * @return Observable< Object > returns response object when available
+ */
+
+db.prototype.replicateFrom = function (options) {
+  if (typeof (options) !== 'object') {
+    throw new Error('rxCouch.db.replicateFrom: options must be an object');
+  }
+  if (options.target) {
+    throw new Error('rxCouch.db.replicateFrom: options.target must not be specified');
+  }
+
+  let updatedOptions = shallowCopy(options);
+  const auth = this._server._auth;
+  updatedOptions.target = auth
+    ? {url: this._dbUrl, headers: {Authorization: auth.basicHeader()}}
+    : this._dbUrl;
+
+  return this._server.replicate(updatedOptions);
+};
+
+/**
+ * Monitor changes to the database.
+ * Return an Observable with sends back the parsed JSON results
+ * returned by CouchDB. The results are sent back one-by-one
+ * (one for each document).
+ *
+ * If feed: "longpoll" appears in the options object, the changes
+ * feed is monitored continuously until the subscription is dropped.
+ *
+ * With feed: "continuous" or feed: "eventsource", a single long-lived
+ * response is parsed as it arrives and each change is sent as soon as it is
+ * received. Heartbeats are ignored. If the response ends (i.e. because of
+ * CouchDB's `timeout`) or fails with a transient error, the feed is reopened
+ * from the last sequence seen, unless `limit` was given. Use `heartbeat` to
+ * keep the connection open; if you also use `requestTimeout`, it applies to
+ * the gap between lines, so make it longer than the heartbeat interval.
+ *
+ * Longpoll, continuous, and eventsource feeds reconnect from the last
+ * sequence seen when a connection fails with a transient error (a dropped
+ * connection, a network error, a request timeout, or one of the retry
+ * policy's retryStatuses, such as a 502 from a proxy). Other errors, such as
+ * a 401, a 404, or a response that isn't valid JSON, end the feed. Disposing
+ * the subscription aborts the poll or connection in progress. If you use
+ * `requestTimeout` with a longpoll feed, make it longer than the CouchDB
+ * `timeout` option. These options control reconnection and are not sent to
+ * CouchDB:
+ *
+ *    - reconnect: (optional, Boolean or Object) false to end the feed on the
+ *         first error (each request is still retried according to the retry
+ *         policy), or a partial retry policy (see ./retry) which overrides
+ *         the server's backoff settings; maxAttempts is the number of
+ *         consecutive failed connections after which the feed gives up, and
+ *         is unlimited unless given here
+ *    - onConnectionState: (optional, Function) called with an object whose
+ *         `state` is 'connected' once the feed has heard from the server
+ *         (initially and after reconnecting), 'reconnecting' after each
+ *         failed connection (with `attempt`, `delay` in ms before the next
+ *         one, and `error`), or 'offline' when the feed gives up (with
+ *         `error`, just before it is sent via onError)
+ *
+ * To receive only some of the changes, use one of these filters:
+ *
+ *    - selector: (Object) a Mango selector; implies filter: '_selector' and
+ *         is sent in a POST body
+ *    - view: (String) "ddoc/view"; implies filter: '_view', so only
+ *         documents which the view's map function emits are included
+ *    - doc_ids: (Array of String) document IDs; implies filter: '_doc_ids'.
+ *         Long lists are sent in a POST body rather than the URL
+ *    - filter: (String) "ddoc/filterName" for a design document filter
+ *         function. Other options are passed to it as query parameters
+ *         (arrays and objects are encoded as JSON)
+ *
+ * To resume where a previous run left off, pass a checkpoint store as
+ * `checkpoint` (or a string, which is shorthand for a LocalDocCheckpoint
+ * with that ID; see ./checkpoint). The feed starts from the saved sequence
+ * (or from `since` if nothing has been saved yet), and sequences are saved
+ * as changes are processed:
+ *
+ *    - commit: 'auto' (default) saves the sequence of each batch of changes
+ *         once your onNext handler has returned for all of them, so every
+ *         change is processed at least once, provided you process each change
+ *         synchronously
+ *    - commit: 'ack' saves only when you call `ack(change)` on the returned
+ *         Observable, which acknowledges that change and all earlier ones;
+ *         `ack` returns an Observable which completes once the save is done
+ *
+ * Saves are serialized and coalesced, so a busy feed does not issue a save
+ * per change. If a save fails, the feed fails with that error.
+ *
+ * To see where the feed is (i.e. to show progress or to checkpoint by hand),
+ * use the `envelope` option, which is not sent to CouchDB:
+ *
+ *    - envelope: 'batch' sends {results, last_seq, pending} for each
+ *         response instead of its results one-by-one, including responses
+ *         with no results. Continuous and eventsource feeds send one change
+ *         per batch, with the sequence seen so far as last_seq; `pending` is
+ *         only known when the feed ends
+ *    - envelope: 'item' sends each change with `last_seq` (and, where
+ *         CouchDB reports it, `pending`: the number of changes after this
+ *         one) added
+ *
+ * With a checkpoint and envelope: 'batch', `ack` takes a batch and saves its
+ * last_seq.
+ *
+ * `limit` and `seq_interval` apply to each poll of a longpoll feed, which
+ * continues from the response's last_seq. With `descending`, only the first
+ * poll is descending; the feed then continues in ascending order from the
+ * newest change. Continuous and eventsource feeds end after a descending
+ * response rather than reopening.
+ *
+ * See http://docs.couchdb.org/en/latest/api/database/changes.html for
+ * request and response options.
+ *
+ * @param options request options
+ *
+ * @return Observable< Object > returns response object when available
+ */
+
+db.prototype.changes = function (options) {
+  if (options && typeof (options) !== 'object') {
+    throw new Error('rxCouch.db.changes: options must be an object');
+  }
+
+  if (options && options.checkpoint !== undefined) {
+    return checkpointedChanges(this, options);
+  }
+
+  const reconnect = options && options.reconnect;
+  retry.validate(reconnect, 'rxCouch.db.changes: options', 'reconnect');
+
+  const onConnectionState = options && options.onConnectionState;
+  if (onConnectionState !== undefined && typeof (onConnectionState) !== 'function') {
+    throw new Error('rxCouch.db.changes: options.onConnectionState, if present, must be a function');
+  }
+
+  const envelope = options && options.envelope;
+  if (envelope !== undefined && envelope !== 'batch' && envelope !== 'item') {
+    throw new Error('rxCouch.db.changes: options.envelope, if present, must be "batch" or "item"');
+  }
+
+  let changesOptions = options;
+  if (options && ('reconnect' in options || 'onConnectionState' in options || 'envelope' in options)) {
+    changesOptions = shallowCopy(options);
+    delete changesOptions.reconnect;
+    delete changesOptions.onConnectionState;
+    delete changesOptions.envelope;
+  }
+
+  const splitOpts = splitOptions(changesOptions);
+  const filter = changesFilterFrom(splitOpts.query);
+  const queryOptions = filter.query;
+
+  let fixedOptions = queryOptions;
+  if (queryOptions) {
+    fixedOptions = {};
+    Object.keys(queryOptions).forEach(key => {
+      let value = queryOptions[key];
+      if (value && typeof (value) === 'object') {
+        value = JSON.stringify(value);
+      }
+      fixedOptions[key] = value;
+    });
+  }
+
+  const getChangesOnce = (requestOptions, onConnected) => {
+    const getUrl = this._dbUrl + '/_changes' +
+      (fixedOptions ? ('?' + querystring.stringify(fixedOptions)) : '');
+
+    this._changesFetchCount++;
+      // NOTE: This is only intended for debugging use.
+
+    // A longpoll response may not come back until CouchDB's timeout, but
+    // once its headers have arrived, we know the server is reachable.
+
+    let fetchOptions = changesRequest(filter.body, requestOptions);
+    if (onConnected) {
+      fetchOptions = Object.assign({}, fetchOptions, {onResponse: () => onConnected()});
+    }
+
+    return this._server._fetch(getUrl, fetchOptions)
+      .json()
       .tap(response => {
         if (options && options.feed === 'longpoll') {
           fixedOptions = fixedOptions || {};
-          fixedOptions.since = response.last_seq;
+          fixedOptions.since = nextSince(response, fixedOptions);
+          delete fixedOptions.descending;
         }
       })
-      .flatMap(response => Rx.Observable.from(response.results));
+      .flatMap(response => Rx.Observable.from(batchResults(response, envelope)));
+  };
+
+  const feed = options && options.feed;
+  const isStreaming = feed === 'continuous' || feed === 'eventsource';
+  if (feed !== 'longpoll' && !isStreaming) {
+    return getChangesOnce(splitOpts.request);
+  }
+
+  // Feeds reconnect on their own schedule, so individual requests are not
+  // also retried.
+
+  const requestRetry = splitOpts.request && splitOpts.request.retry;
+  const policy = retry.resolveReconnect(this._server._retry, requestRetry, reconnect);
+  const requestOptions = policy
+    ? Object.assign({}, splitOpts.request, {retry: false})
+    : splitOpts.request;
+
+  if (isStreaming) {
+    return streamChanges(this, fixedOptions, filter.body, envelope, requestOptions, policy, onConnectionState);
+  }
+
+  return followFeed(onConnected => getChangesOnce(requestOptions, onConnected),
+    true, policy, onConnectionState);
+};
+
+// With seq_interval, CouchDB sends null in place of most sequences.
+
+const hasSeq = seq => seq !== undefined && seq !== null;
+
+// Where a longpoll feed continues from after this response. A descending
+// response lists the newest change first; later polls are in ascending
+// order, starting from there.
+
+const nextSince = (response, queryOptions) => {
+  const results = response.results || [];
+  if (queryOptions.descending && String(queryOptions.descending) === 'true' &&
+      results.length > 0 && hasSeq(results[0].seq)) {
+    return results[0].seq;
+  }
+  return response.last_seq;
+};
+
+// Return the values to send for one changes response, according to the
+// envelope option.
+
+const batchResults = (response, envelope) => {
+  const results = response.results || [];
+
+  if (envelope === 'batch') {
+    return [{results: results, last_seq: response.last_seq, pending: response.pending}];
+  }
+
+  if (envelope === 'item') {
+    return results.map((change, index) => {
+      let item = Object.assign({}, change, {last_seq: response.last_seq});
+      if (response.pending !== undefined) {
+        item.pending = response.pending + results.length - index - 1;
+      }
+      return item;
+    });
+  }
+
+  return results;
+};
+
+// Longer lists of document IDs are sent in a POST body rather than the URL.
+
+const maxDocIdsQueryLength = 2000;
+
+// Validate the filtering options for db.changes. Returns the query options
+// with the built-in filter they imply (i.e. selector implies filter:
+// '_selector') and the body to POST, if any (undefined means GET).
+
+const changesFilterFrom = queryOptions => {
+  if (!queryOptions) {
+    return {query: queryOptions, body: undefined};
+  }
+
+  let query = shallowCopy(queryOptions);
+  let body;
+
+  const requireFilter = (optionName, filterName) => {
+    if (query.filter !== undefined && query.filter !== filterName) {
+      throw new Error('rxCouch.db.changes: options.' + optionName + ' requires filter: "' + filterName + '"');
+    }
+    query.filter = filterName;
+  };
+
+  if (query.filter !== undefined) {
+    if (typeof (query.filter) !== 'string' || query.filter.length === 0) {
+      throw new Error('rxCouch.db.changes: options.filter, if present, must be a non-empty string');
+    }
+    query.filter = query.filter.replace(/^_design\//, '');
+  }
+
+  if (query.selector !== undefined) {
+    const selector = query.selector;
+    if (!selector || typeof (selector) !== 'object' || Array.isArray(selector)) {
+      throw new Error('rxCouch.db.changes: options.selector must be an object');
+    }
+    requireFilter('selector', '_selector');
+    body = {selector: selector};
+    delete query.selector;
+  }
+
+  if (query.view !== undefined) {
+    const view = typeof (query.view) === 'string' ? query.view.replace(/^_design\//, '') : '';
+    if (!/^[^/]+\/[^/]+$/.test(view)) {
+      throw new Error('rxCouch.db.changes: options.view must be of the form "ddoc/view"');
+    }
+    requireFilter('view', '_view');
+    query.view = view;
+  }
+
+  if (query.doc_ids !== undefined) {
+    const docIds = query.doc_ids;
+    if (!Array.isArray(docIds) || docIds.some(id => typeof (id) !== 'string')) {
+      throw new Error('rxCouch.db.changes: options.doc_ids must be an array of strings');
+    }
+    requireFilter('doc_ids', '_doc_ids');
+    if (JSON.stringify(docIds).length > maxDocIdsQueryLength) {
+      body = {doc_ids: docIds};
+      delete query.doc_ids;
+    }
+  }
+
+  return {query: query, body: body};
+};
+
+const changesRequest = (body, requestOptions) => body
+  ? mangoRequest(body, requestOptions)
+  : withRequestOptions({headers: {Accept: 'application/json'}}, requestOptions);
+
+// True for errors that mean the connection failed, rather than that the
+// server answered: network errors from node-fetch (FetchError) or from the
+// fetch built into Node 18+ (a TypeError whose cause is the underlying
+// error), and aborted requests.
+
+const isNetworkError = err =>
+  err.name === 'FetchError' || err.name === 'AbortError' ||
+  (err instanceof TypeError && err.cause !== undefined);
+
+// Feeds treat as transient the errors the policy would retry, request
+// timeouts, and network errors of any kind. Anything else (i.e. a 401, or a
+// response that isn't valid JSON) would most likely happen again, so the
+// feed gives up rather than reconnecting forever.
+
+const isTransientFeedError = (policy, err) =>
+  !!err && (retry.isRetryable(policy, err) || err instanceof errors.TimeoutError || isNetworkError(err));
+
+// Run a changes feed connection by connection. `connect(onConnected)` returns
+// an Observable for one connection (one poll, for a longpoll feed), which
+// calls onConnected once it has heard from the server. When a connection
+// ends, another is opened if `repeat` is set. When one fails with a transient
+// error, another is opened after a backoff delay, unless `policy` is
+// undefined or maxAttempts consecutive connections have failed. Transitions
+// between the connected, reconnecting, and offline states are reported to
+// onConnectionState, if given.
+
+const followFeed = (connect, repeat, policy, onConnectionState) => Rx.Observable.create(observer => {
+  let subscription = new Rx.SerialDisposable();
+  let failures = 0;
+  let state;
+
+  const setState = (newState, details) => {
+    if (newState === state && newState === 'connected') {
+      return;
+    }
+    state = newState;
+    if (onConnectionState) {
+      onConnectionState(Object.assign({state: newState}, details));
+    }
   };
 
-  const getChangesContinuously = () => {
-    return getChangesOnce().concat(Rx.Observable.defer(() => getChangesContinuously()));
+  const onConnected = () => {
+    failures = 0;
+    setState('connected');
+  };
+
+  const connectNext = () => {
+    subscription.setDisposable(connect(onConnected).subscribe(
+      change => observer.onNext(change),
+      err => {
+        failures++;
+        if (!policy || failures >= policy.maxAttempts || !isTransientFeedError(policy, err)) {
+          setState('offline', {error: err});
+          observer.onError(err);
+          return;
+        }
+
+        const delay = retry.computeDelay(policy, failures);
+        setState('reconnecting', {attempt: failures, delay: delay, error: err});
+        subscription.setDisposable(Rx.Observable.timer(delay, policy.scheduler).subscribe(connectNext));
+      },
+      () => {
+        if (repeat) {
+          connectNext();
+        } else {
+          observer.onCompleted();
+        }
+      }));
   };
 
-  if (options && options.feed === 'longpoll') {
-    return getChangesContinuously();
+  connectNext();
+  return subscription;
+});
+
+// The sequence to save once a value from the feed has been processed: that
+// of the change or, for a batch envelope, that of the whole batch.
+
+const checkpointSeqOf = value => value.results ? value.last_seq : value.seq;
+
+// Run a changes feed which starts from, and saves its progress to, a
+// checkpoint store.
+
+const checkpointedChanges = (self, options) => {
+  const store = typeof (options.checkpoint) === 'string'
+    ? new checkpoint.LocalDocCheckpoint(self, options.checkpoint)
+    : options.checkpoint;
+
+  if (!store || typeof (store.load) !== 'function' || typeof (store.save) !== 'function') {
+    throw new Error('rxCouch.db.changes: options.checkpoint must be a string or a checkpoint store');
+  }
+
+  const commitMode = options.commit || 'auto';
+  if (commitMode !== 'auto' && commitMode !== 'ack') {
+    throw new Error('rxCouch.db.changes: options.commit, if present, must be "auto" or "ack"');
+  }
+
+  let changesOptions = shallowCopy(options);
+  delete changesOptions.checkpoint;
+  delete changesOptions.commit;
+
+  const writer = new checkpoint.CheckpointWriter(store);
+
+  const source = store.load().flatMap(savedSeq => {
+    if (savedSeq !== undefined) {
+      changesOptions.since = savedSeq;
+    }
+    return self.changes(changesOptions);
+  });
+
+  let result;
+  if (commitMode === 'ack') {
+    result = source;
   } else {
-    return getChangesOnce();
+    result = Rx.Observable.create(observer => {
+      let commits = new Rx.CompositeDisposable();
+      const onCommitError = err => observer.onError(err);
+
+      commits.add(source.subscribe(
+        change => {
+          observer.onNext(change);
+          const seq = checkpointSeqOf(change);
+          if (hasSeq(seq)) {
+            // Drop each commit's subscription once it is done so that a
+            // long-running feed doesn't hold on to one per change.
+
+            const commit = new Rx.SingleAssignmentDisposable();
+            commits.add(commit);
+            commit.setDisposable(writer.commit(seq).subscribe(
+              () => {},
+              err => {
+                commits.remove(commit);
+                onCommitError(err);
+              },
+              () => commits.remove(commit)));
+          }
+        },
+        err => observer.onError(err),
+        () => {
+          commits.add(writer.flush().subscribe(() => {}, onCommitError, () => observer.onCompleted()));
+        }));
+
+      return commits;
+    });
+  }
+
+  result.ack = change => {
+    const seq = change && checkpointSeqOf(change);
+    if (!hasSeq(seq)) {
+      throw new Error('rxCouch.db.changes: ack requires a change with a seq');
+    }
+    return writer.commit(seq);
+  };
+
+  return result;
+};
+
+// Follow a continuous or eventsource changes feed, reconnecting from the last
+// sequence seen when the response ends or fails (see followFeed above).
+
+const streamChanges = (self, queryOptions, body, envelope, requestOptions, policy, onConnectionState) => {
+  const isEventSource = queryOptions.feed === 'eventsource';
+  const repeat = queryOptions.limit === undefined && !queryOptions.descending;
+
+  // Each subscription follows the feed from the start, with a since of its own.
+
+  return Rx.Observable.defer(() => {
+    let since = queryOptions.since;
+
+    const connectOnce = onConnected => Rx.Observable.defer(() => {
+      let query = shallowCopy(queryOptions);
+      if (since !== undefined) {
+        query.since = since;
+      }
+
+      const getUrl = self._dbUrl + '/_changes?' + querystring.stringify(query);
+
+      self._changesFetchCount++;
+        // NOTE: This is only intended for debugging use.
+
+      let fetchOptions = changesRequest(body, requestOptions);
+      fetchOptions.headers = Object.assign({}, fetchOptions.headers,
+        {Accept: isEventSource ? 'text/event-stream' : 'application/json'});
+      fetchOptions.onResponse = () => onConnected();
+        // The connection is up as soon as the response headers arrive.
+
+      const lineSource = self._server._fetch(getUrl, fetchOptions).lines();
+
+      const messages = isEventSource
+        ? stream.serverSentEvents(lineSource)
+            .filter(event => event.type === 'message')
+            .map(event => event.data)
+        : lineSource;
+
+      return messages
+        .filter(message => message.trim().length > 0)
+          // Blank lines are heartbeats.
+        .map(message => JSON.parse(message))
+        .tap(change => {
+          if (change.last_seq !== undefined) {
+            since = change.last_seq;
+          } else if (hasSeq(change.seq)) {
+            since = change.seq;
+          }
+        })
+        .flatMap(change => {
+          // The last line (when the feed ends) carries last_seq and pending,
+          // which only the batch envelope reports.
+
+          if (change.last_seq !== undefined) {
+            return envelope === 'batch'
+              ? [{results: [], last_seq: change.last_seq, pending: change.pending}]
+              : [];
+          }
+          if (envelope === 'batch') {
+            return [{results: [change], last_seq: since}];
+          }
+          if (envelope === 'item') {
+            return [Object.assign({}, change, {last_seq: since})];
+          }
+          return [change];
+        });
+    });
+
+    // Without a reconnect policy, fall back to the usual retry policy for each
+    // connection.
+
+    const connect = policy
+      ? connectOnce
+      : onConnected => retry.withRetry(connectOnce(onConnected),
+          retry.resolve(self._server._retry, requestOptions && requestOptions.retry));
+
+    return followFeed(connect, repeat, policy, onConnectionState);
+  });
+};
+
+/**
+ * Retrieve a document's conflicting revisions (i.e. those left behind when
+ * the same document was changed on both sides of a replication).
+ *
+ * Returns an Observable which will fire exactly once on success with an
+ * object of the form:
+ *
+ *    - winner: (Object) the current (winning) revision of the document,
+ *         including its `_conflicts` list (if any)
+ *    - conflicts: (Array of String) revision IDs of the losing revisions
+ *    - losers: (Array of Object) the bodies of the losing revisions, where
+ *         still available
+ *
+ * @param id (String) document ID
+ * @param options (optional, Object) request options
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
+ */
+
+db.prototype.conflicts = function (id, options) {
+  if (!id) {
+    throw new Error('rxCouch.db.conflicts: missing document ID');
+  }
+
+  if (typeof (id) !== 'string') {
+    throw new Error('rxCouch.db.conflicts: invalid document ID');
+  }
+
+  const requestOptions = splitOptions(options).request;
+
+  return this.get(id, Object.assign({conflicts: true}, requestOptions))
+    .flatMapLatest(winner => {
+      const conflicts = winner._conflicts || [];
+      if (conflicts.length === 0) {
+        return Rx.Observable.just({winner: winner, conflicts: [], losers: []});
+      }
+
+      return this.bulkGet(conflicts.map(rev => ({id: id, rev: rev})), requestOptions)
+        .filter(loser => !!loser._rev)
+        .toArray()
+        .map(losers => ({winner: winner, conflicts: conflicts, losers: losers}));
+    });
+};
+
+/**
+ * Resolve a document's conflicts. Calls `mergeFn(winner, losers)` with the
+ * values described for `conflicts` above; it must return the merged document
+ * value. The merged value is written as the new winning revision and all of
+ * the losing revisions are deleted, in a single _bulk_docs request. (If the
+ * merged value is the same as the winner's content, only the deletions are
+ * written.)
+ *
+ * Returns an Observable which sends one value per document revision written
+ * (as for `bulkDocs`), or completes without sending any values if the
+ * document has no conflicts.
+ *
+ * @param id (String) document ID
+ * @param mergeFn (Function) (winner, losers) => merged document value
+ * @param options (optional, Object) request options
+ *    - retry: (optional, Boolean or Object) overrides the server's retry policy
+ *    - requestTimeout: (optional, Number) overrides the server's request timeout
+ */
+
+db.prototype.resolveConflicts = function (id, mergeFn, options) {
+  if (!id) {
+    throw new Error('rxCouch.db.resolveConflicts: missing document ID');
+  }
+
+  if (typeof (id) !== 'string') {
+    throw new Error('rxCouch.db.resolveConflicts: invalid document ID');
+  }
+
+  if (typeof (mergeFn) !== 'function') {
+    throw new Error('rxCouch.db.resolveConflicts: mergeFn must be a function');
+  }
+
+  const requestOptions = splitOptions(options).request;
+
+  return this.conflicts(id, requestOptions)
+    .flatMapLatest(found => {
+      if (found.conflicts.length === 0) {
+        return Rx.Observable.empty();
+      }
+
+      let winner = shallowCopy(found.winner);
+      delete winner._conflicts;
+
+      const merged = mergeFn(JSON.parse(JSON.stringify(winner)), found.losers);
+      if (!merged || typeof (merged) !== 'object') {
+        throw new Error('rxCouch.db.resolveConflicts: mergeFn must return an object');
+      }
+
+      let newWinner = Object.assign({}, merged, {_id: id, _rev: winner._rev});
+      delete newWinner._conflicts;
+
+      let docs = found.conflicts.map(rev => ({_id: id, _rev: rev, _deleted: true}));
+      if (!deepEqual(winner, newWinner)) {
+        docs.unshift(newWinner);
+      }
+
+      return this.bulkDocs(docs, requestOptions);
+    });
+};
+
+/**
+ * Monitor the database for conflicted documents. Uses the changes feed
+ * (with style=all_docs, so that every leaf revision is reported) and sends
+ * a value each time a document that has conflicts is changed, including when
+ * a replication first introduces the conflict.
+ *
+ * Each value has the form {id, rev, conflicts, doc}, where `rev` is the
+ * winning revision, `conflicts` lists the losing revision IDs, and `doc` is
+ * the winning document value.
+ *
+ * By default, monitors from now on (since: 'now') using a longpoll feed.
+ * Pass since: 0 to also report documents that are already conflicted.
+ *
+ * @param options (optional, Object) changes feed options (see `changes`)
+ *
+ * @return Observable< Object > one value per change to a conflicted document
+ */
+
+db.prototype.observeConflicts = function (options) {
+  if (options && typeof (options) !== 'object') {
+    throw new Error('rxCouch.db.observeConflicts: options, if present, must be an object');
+  }
+
+  const changesOptions = Object.assign({feed: 'longpoll', since: 'now'}, options,
+    {style: 'all_docs', include_docs: true, conflicts: true});
+
+  return this.changes(changesOptions)
+    .filter(change => change.changes && change.changes.length > 1 &&
+      change.doc && change.doc._conflicts && change.doc._conflicts.length > 0)
+    .map(change => ({
+      id: change.id,
+      rev: change.doc._rev,
+      conflicts: change.doc._conflicts,
+      doc: change.doc
+    }));
+};
+
+// Return the changes feed shared by all observers in this database,
+// creating it if there is none.
+
+const sharedChangesFeed = self => {
+  if (!self._sharedChangesFeed) {
+    const feed = new sharedChanges.SharedChangesFeed(self, () => {
+      if (self._sharedChangesFeed === feed) {
+        self._sharedChangesFeed = undefined;
+      }
+    });
+    self._sharedChangesFeed = feed;
   }
+  return self._sharedChangesFeed;
 };
 
 /**
@@ -405,8 +2423,9 @@ db.prototype.changes = function (options) {
  * soon after the call. It will then monitor the document value and send
  * updates so long as the subscription remains active.
  *
- * Use this sparingly; having many of these open at once could lead to
- * unacceptable server load.
+ * All observed documents in a database share a single longpoll changes
+ * feed, which follows exactly the documents that are currently observed, so
+ * observing many documents does not hold many connections open.
  *
  * @param id document ID
  *
@@ -420,47 +2439,378 @@ db.prototype.observe = function (id) {
   if (typeof (id) !== 'string' || id.length === 0) {
     throw new Error('rxCouch.db.observe: invalid document ID');
   }
+  if (/^_local\//.test(id)) {
+    throw new Error('rxCouch.db.observe: _local documents do not appear in the changes feed');
+  }
+
+  return Rx.Observable.defer(() => {
+    // Start following the document before reading its current value so that
+    // no change can slip in between. Updates that arrive while the read is
+    // in progress are held until it is done.
+
+    const updates = new Rx.ReplaySubject();
+    let previousRev;
+
+    return Rx.Observable.using(
+      () => sharedChangesFeed(this).docs(id).subscribe(updates),
+      () => this.get(id)
+        .catch(Rx.Observable.just({_id: id, _empty: true}))
+        .concat(updates))
+
+      .filter(doc => {
+        if (doc._id !== id || (previousRev && previousRev === doc._rev)) {
+          return false;
+        } else {
+          previousRev = doc._rev;
+          return true;
+        }
+      });
+  });
+};
 
-  // Some Couch servers do not support the _doc_ids filter. If we determine
-  // that this is such a server, then we stop trying. (We shouldn't expect the
-  // server to change its capabilities while we're talking to it.)
+/**
+ * Observe the result of a query over time: an `allDocs` key range, a view
+ * query, or a Mango query.
+ *
+ * Returns an Observable which fires first with the complete result, then
+ * again whenever the result changes, so long as the subscription remains
+ * active. Each value is an object of the form {rows, added, removed,
+ * changed}: `rows` is the complete result (rows for allDocs and views, as
+ * sent by `allDocs` with `stream: true` and `view`; documents for a Mango
+ * query), and the others list the rows that were added, removed, or changed
+ * since the previous result. In the first value, every row is "added".
+ *
+ * The query is run again only after a change that could affect its result:
+ * a change to a document in the key range (allDocs), one the view's map
+ * function emits for (view; uses the _view filter), one that matches the
+ * selector (Mango; uses the _selector filter), or one to a document already
+ * in the result. Bursts of such changes are debounced into one query.
+ *
+ * @param query (Object) one of:
+ *    - {allDocs: true, options}: options as for `allDocs` with `stream: true`
+ *    - {view: "ddoc/view", options}: options as for `view`; reduced queries
+ *         are not supported (pass reduce: false for a view with a reduce
+ *         function)
+ *    - {selector, options}: options as for `find`; if `fields` is given, it
+ *         must include _id
+ * @param options (optional, Object)
+ *    - debounce: (optional, Number) how long to wait in ms after a relevant
+ *         change for further changes before querying again (default 100)
+ *
+ * @return Observable< Object > query result with changes, as described above
+ */
 
-  const self = this;
+db.prototype.observeQuery = function (query, options) {
+  const spec = liveQuery.parse(query, 'rxCouch.db.observeQuery');
 
-  const noDocIdsFilterFallback = function () {
-    self._dbDoesNotSupportDocIdsFilter = true;
-    if (!self._sharedChangesFeed) {
-      self._sharedChangesFeed = self.changes({feed: 'longpoll', include_docs: true, since: 'now'})
-        .map(update => update.doc)
-        .finally(() => {
-          self._sharedChangesFeed = undefined;
-        })
-        .publish().refCount();
+  if (options && typeof (options) !== 'object') {
+    throw new Error('rxCouch.db.observeQuery: options, if present, must be an object');
+  }
+
+  const debounce = options && options.debounce !== undefined ? options.debounce : 100;
+  if (typeof (debounce) !== 'number' || debounce < 0) {
+    throw new Error('rxCouch.db.observeQuery: options.debounce, if present, must be a non-negative number');
+  }
+
+  const queryOptions = spec.options;
+  const rowKey = liveQuery.rowKeyFor(spec.kind);
+
+  const runQuery = () => {
+    switch (spec.kind) {
+      case 'allDocs':
+        return this.allDocs(Object.assign({}, queryOptions, {stream: true})).toArray();
+      case 'view':
+        return this.view(spec.ddoc, spec.viewName, queryOptions).toArray();
+      default:
+        return this.find(spec.selector, queryOptions).toArray();
     }
-    return self._sharedChangesFeed;
   };
 
-  let previousRev;
+  // Changes to documents that could join the result. (Changes to documents
+  // already in it are followed separately; see below.)
+
+  const candidateChanges = since => {
+    const feedOptions = {feed: 'longpoll', since: since};
+    switch (spec.kind) {
+      case 'allDocs':
+        return queryOptions.keys
+          ? this.changes(Object.assign(feedOptions, {doc_ids: queryOptions.keys}))
+          : this.changes(feedOptions).filter(change => liveQuery.isInRange(change.id, queryOptions));
+      case 'view':
+        return this.changes(Object.assign(feedOptions, {view: spec.ddoc + '/' + spec.viewName}));
+      default:
+        return this.changes(Object.assign(feedOptions, {selector: spec.selector}));
+    }
+  };
+
+  const memberIds = rows => spec.kind === 'allDocs'
+    ? []
+      // Every document in an allDocs result is in its key range.
+    : withoutDuplicates(rows.map(row => spec.kind === 'view' ? row.id : row._id).filter(id => id !== undefined));
+
+  // Each query is pinned to the database's update sequence as of just before
+  // it runs, so that the feeds can start from there and miss nothing.
+
+  const runPinnedQuery = () => updateSeq(this)
+    .flatMap(seq => runQuery().map(rows => ({seq: seq, rows: rows})));
+
+  return Rx.Observable.create(observer => {
+    let rows;
+    let candidates = new Rx.SerialDisposable();
+    let members = new Rx.SerialDisposable();
+    const triggers = new Rx.Subject();
+
+    const follow = changes => changes.subscribe(
+      change => triggers.onNext(change),
+      err => observer.onError(err));
+
+    const results = triggers
+      .debounce(debounce)
+      .startWith(null)
+      .flatMapLatest(runPinnedQuery)
+      .subscribe(
+        result => {
+          const isFirst = !rows;
+          if (isFirst) {
+            candidates.setDisposable(follow(candidateChanges(result.seq)));
+          }
+
+          const ids = memberIds(result.rows);
+          members.setDisposable(ids.length > 0
+            ? follow(this.changes({doc_ids: ids, feed: 'longpoll', since: result.seq}))
+            : Rx.Disposable.empty);
+
+          if (isFirst || !deepEqual(rows, result.rows)) {
+            const update = liveQuery.diffRows(rows || [], result.rows, rowKey);
+            rows = result.rows;
+            observer.onNext(update);
+          }
+        },
+        err => observer.onError(err));
+
+    return new Rx.CompositeDisposable(results, candidates, members);
+  });
+};
 
-  return this.get(id)
+const updateSeq = self => self._server._fetch(self._dbUrl, {headers: {Accept: 'application/json'}})
+  .json()
+  .map(info => info.update_seq);
 
-    .catch(Rx.Observable.just({_id: id, _empty: true}))
+/**
+ * Create an in-memory copy of this database, or of part of it, which is kept
+ * current by following the changes feed. Intended for small databases (i.e.
+ * configuration) that are read far more often than they change.
+ *
+ * Returns a Mirror object (see ./mirror) immediately; loading begins right
+ * away. Use its `ready` Observable to find out when the copy is loaded, its
+ * synchronous `get`, `has`, `all`, and `query` methods to read it, its
+ * `changes` Observable to hear about updates, and `dispose` to stop.
+ *
+ * @param options (optional, Object)
+ *    - startkey, endkey: (optional, String) copy only documents whose IDs are
+ *         in this range (compared by code point)
+ *    - doc_ids: (optional, Array of String) copy only these documents
+ *    - filter: (optional, Function) copy only documents for which
+ *         filter(doc) returns true
+ *    - feed: (optional, String) 'longpoll' (default) or 'continuous'
+ *    - reconnect, onConnectionState: (optional) passed to `changes`
+ *
+ * @return Mirror
+ */
 
-    // We prefer the _doc_ids filter, when available, but if we know it isn't,
-    // don't bother trying.
+db.prototype.mirror = function (options) {
+  if (options && typeof (options) !== 'object') {
+    throw new Error('rxCouch.db.mirror: options, if present, must be an object');
+  }
 
-    .concat(this._dbDoesNotSupportDocIdsFilter
-      ? noDocIdsFilterFallback()
-      : (this.changes({doc_ids: [id], feed: 'longpoll', filter: '_doc_ids', include_docs: true})
-          .map(update => update.doc)
-          .catch(Rx.Observable.defer(noDocIdsFilterFallback))))
+  const mirrorOptions = options || {};
 
-    .filter(doc => {
-      if (doc._id !== id || (previousRev && previousRev === doc._rev)) {
-        return false;
-      } else {
-        previousRev = doc._rev;
-        return true;
+  ['startkey', 'endkey'].forEach(name => {
+    if (mirrorOptions[name] !== undefined && typeof (mirrorOptions[name]) !== 'string') {
+      throw new Error('rxCouch.db.mirror: options.' + name + ', if present, must be a string');
+    }
+  });
+
+  if (mirrorOptions.doc_ids !== undefined) {
+    validateObservedIds(mirrorOptions.doc_ids, 'mirror');
+    if (mirrorOptions.startkey !== undefined || mirrorOptions.endkey !== undefined) {
+      throw new Error('rxCouch.db.mirror: options.doc_ids can not be combined with startkey or endkey');
+    }
+  }
+
+  if (mirrorOptions.filter !== undefined && typeof (mirrorOptions.filter) !== 'function') {
+    throw new Error('rxCouch.db.mirror: options.filter, if present, must be a function');
+  }
+
+  if (mirrorOptions.feed !== undefined && mirrorOptions.feed !== 'longpoll' && mirrorOptions.feed !== 'continuous') {
+    throw new Error('rxCouch.db.mirror: options.feed, if present, must be "longpoll" or "continuous"');
+  }
+
+  return new mirror.Mirror(this, mirrorOptions, updateSeq(this));
+};
+
+const validateObservedIds = (ids, apiName) => {
+  if (!Array.isArray(ids)) {
+    throw new Error('rxCouch.db.' + apiName + ': ids must be an array');
+  }
+  ids.forEach(id => {
+    if (typeof (id) !== 'string' || id.length === 0) {
+      throw new Error('rxCouch.db.' + apiName + ': invalid document ID');
+    }
+    if (/^_local\//.test(id)) {
+      throw new Error('rxCouch.db.' + apiName + ': _local documents do not appear in the changes feed');
+    }
+  });
+};
+
+const withoutDuplicates = ids => ids.filter((id, index) => ids.indexOf(id) === index);
+
+/**
+ * Observe the values of a set of documents over time, as one keyed stream.
+ *
+ * Returns an Observable which fires first with an object that maps each
+ * document ID to the document's current value, loaded in a single bulk
+ * request (documents that don't exist are represented by a placeholder of
+ * the form {_id: id, _empty: true}, as with observe, and so are documents
+ * that are later deleted). It then fires again
+ * whenever any of the documents changes, so long as the subscription remains
+ * active. The documents are followed using the same shared changes feed as
+ * observe.
+ *
+ * The returned Observable also has `add(ids)` and `remove(ids)` methods,
+ * which change the set of documents observed by all of its subscriptions.
+ * Added documents are loaded in bulk and then sent as an update.
+ *
+ * @param ids (Array of String) document IDs
+ * @param options (optional, Object)
+ *    - deltas: (optional, Boolean) if true, each update after the first
+ *         contains only the documents that changed (with null for each that
+ *         was removed from the set); otherwise, each update is a complete map
+ *
+ * @return Observable< Object > map of document ID to document value
+ */
+
+db.prototype.observeMany = function (ids, options) {
+  validateObservedIds(ids, 'observeMany');
+
+  if (options && typeof (options) !== 'object') {
+    throw new Error('rxCouch.db.observeMany: options, if present, must be an object');
+  }
+
+  const deltas = !!(options && options.deltas);
+  const idSet = new Rx.BehaviorSubject(withoutDuplicates(ids));
+
+  const result = Rx.Observable.create(observer => {
+    let docs = {};
+    let registrations = {};
+    let loads = new Rx.CompositeDisposable();
+    let pendingLoads = 0;
+    let hasSentMap = false;
+
+    // The first map waits until every load in progress is done, so that it
+    // covers all of the documents observed so far. Until then, changes only
+    // update `docs`.
+
+    const send = changed => {
+      if (!hasSentMap) {
+        if (pendingLoads > 0) {
+          return;
+        }
+        observer.onNext(shallowCopy(docs));
+        hasSentMap = true;
+      } else if (Object.keys(changed).length > 0) {
+        observer.onNext(deltas ? changed : shallowCopy(docs));
+      }
+    };
+
+    // Documents that don't exist, whether they were never created or have
+    // been deleted, are represented by the same placeholder.
+
+    const valueFor = (id, doc) => (doc && doc._id === id && !doc._deleted)
+      ? doc
+      : {_id: id, _empty: true};
+
+    const applyUpdate = doc => {
+      const id = doc._id;
+      if (!registrations[id] || !docs[id] || docs[id]._rev === doc._rev ||
+          (doc._deleted && docs[id]._empty)) {
+        return;
+      }
+      docs[id] = valueFor(id, doc);
+      let changed = {};
+      changed[id] = docs[id];
+      send(changed);
+    };
+
+    // As in observe, follow the documents before loading them, and hold any
+    // updates until the load is done.
+
+    const addIds = addedIds => {
+      const updates = new Rx.ReplaySubject();
+      const feed = sharedChangesFeed(this);
+      addedIds.forEach(id => {
+        registrations[id] = feed.docs(id).subscribe(updates);
+      });
+
+      pendingLoads++;
+      loads.add(this.bulkGet(addedIds).toArray()
+        .flatMap(values => {
+          let changed = {};
+          values.forEach((value, index) => {
+            const id = addedIds[index];
+            if (registrations[id]) {
+              docs[id] = changed[id] = valueFor(id, value);
+            }
+          });
+          pendingLoads--;
+          send(changed);
+          return updates;
+        })
+        .subscribe(applyUpdate, err => observer.onError(err)));
+    };
+
+    const removeIds = removedIds => {
+      let changed = {};
+      removedIds.forEach(id => {
+        registrations[id].dispose();
+        delete registrations[id];
+        if (docs[id]) {
+          delete docs[id];
+          changed[id] = null;
+        }
+      });
+      if (hasSentMap) {
+        send(changed);
+      }
+    };
+
+    const idSubscription = idSet.subscribe(nextIds => {
+      removeIds(Object.keys(registrations).filter(id => nextIds.indexOf(id) === -1));
+
+      const addedIds = nextIds.filter(id => !registrations[id]);
+      if (addedIds.length > 0) {
+        addIds(addedIds);
+      } else if (!hasSentMap && Object.keys(registrations).length === 0) {
+        send({});
       }
     });
+
+    return () => {
+      idSubscription.dispose();
+      loads.dispose();
+      Object.keys(registrations).forEach(id => registrations[id].dispose());
+    };
+  });
+
+  result.add = addedIds => {
+    validateObservedIds(addedIds, 'observeMany.add');
+    idSet.onNext(withoutDuplicates(idSet.getValue().concat(addedIds)));
+  };
+
+  result.remove = removedIds => {
+    validateObservedIds(removedIds, 'observeMany.remove');
+    idSet.onNext(idSet.getValue().filter(id => removedIds.indexOf(id) === -1));
+  };
+
+  return result;
 };
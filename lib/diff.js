@@ -0,0 +1,63 @@
+'use strict';
+
+const deepEqual = require('deep-eql');
+
+const isObject = value => !!value && typeof (value) === 'object' && !Array.isArray(value);
+
+/**
+ * Compare two JSON values and return a list of field-level differences.
+ * Each difference has the form:
+ *
+ *    - path: (Array of String/Number) location of the field, i.e. ['a', 0, 'b']
+ *    - kind: (String) 'added', 'removed', or 'changed'
+ *    - oldValue: previous value (absent if added)
+ *    - newValue: new value (absent if removed)
+ *
+ * Objects are compared field by field and arrays element by element; any
+ * other change (including a change of type) is reported as 'changed' at the
+ * point where the values diverge.
+ */
+
+const diff = (oldValue, newValue, path) => {
+  path = path || [];
+
+  if (deepEqual(oldValue, newValue)) {
+    return [];
+  }
+
+  if (isObject(oldValue) && isObject(newValue)) {
+    let changes = [];
+    Object.keys(oldValue).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(newValue, key)) {
+        changes.push({path: path.concat([key]), kind: 'removed', oldValue: oldValue[key]});
+      } else {
+        changes = changes.concat(diff(oldValue[key], newValue[key], path.concat([key])));
+      }
+    });
+    Object.keys(newValue).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(oldValue, key)) {
+        changes.push({path: path.concat([key]), kind: 'added', newValue: newValue[key]});
+      }
+    });
+    return changes;
+  }
+
+  if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+    let changes = [];
+    const length = Math.max(oldValue.length, newValue.length);
+    for (let i = 0; i < length; i++) {
+      if (i >= newValue.length) {
+        changes.push({path: path.concat([i]), kind: 'removed', oldValue: oldValue[i]});
+      } else if (i >= oldValue.length) {
+        changes.push({path: path.concat([i]), kind: 'added', newValue: newValue[i]});
+      } else {
+        changes = changes.concat(diff(oldValue[i], newValue[i], path.concat([i])));
+      }
+    }
+    return changes;
+  }
+
+  return [{path: path, kind: 'changed', oldValue: oldValue, newValue: newValue}];
+};
+
+module.exports = diff;
@@ -0,0 +1,123 @@
+'use strict';
+
+const Rx = require('rx');
+const util = require('util');
+
+/**
+ * Base class for all HTTP errors reported by rx-couch. Carries:
+ *
+ *    - status: (Number) HTTP status code
+ *    - statusText: (String) HTTP status text
+ *    - error: (String) CouchDB error code from the response body, if any
+ *    - reason: (String) CouchDB explanation from the response body, if any
+ *    - body: parsed response body (or raw text if it was not JSON)
+ *    - method: (String) HTTP method of the failed request
+ *    - url: (String) URL of the failed request
+ *    - response: the response object from rx-fetch
+ *
+ * The message has the same form as rx-fetch's HTTP error messages
+ * (i.e. "HTTP Error 404 on http://host/db/doc: Object Not Found").
+ */
+
+const CouchError = function (response, body, method, errUrl) {
+  this.message = 'HTTP Error ' + response.status + ' on ' + errUrl + ': ' + response.statusText;
+  this.status = response.status;
+  this.statusText = response.statusText;
+  this.error = body && typeof (body) === 'object' ? body.error : undefined;
+  this.reason = body && typeof (body) === 'object' ? body.reason : undefined;
+  this.body = body;
+  this.method = method;
+  this.url = errUrl;
+  this.response = response;
+
+  /* istanbul ignore else */
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  }
+};
+
+util.inherits(CouchError, Error);
+CouchError.prototype.name = 'CouchError';
+
+const defineError = name => {
+  const ctor = function (response, body, method, errUrl) {
+    CouchError.call(this, response, body, method, errUrl);
+  };
+  util.inherits(ctor, CouchError);
+  ctor.prototype.name = name;
+  return ctor;
+};
+
+const UnauthorizedError = defineError('UnauthorizedError');
+const ForbiddenError = defineError('ForbiddenError');
+const NotFoundError = defineError('NotFoundError');
+const ConflictError = defineError('ConflictError');
+const PreconditionFailedError = defineError('PreconditionFailedError');
+const ServerError = defineError('ServerError');
+
+/**
+ * Reported when a request does not complete within its requestTimeout.
+ * The underlying HTTP request is aborted (where the fetch implementation
+ * supports it). Carries `timeout` (ms), `method`, and `url`. Its `code` is
+ * 'ETIMEDOUT', so the default retry policy treats it as transient.
+ */
+
+const TimeoutError = function (timeout, method, errUrl) {
+  this.message = 'Request timed out after ' + timeout + ' ms on ' + errUrl;
+  this.code = 'ETIMEDOUT';
+  this.timeout = timeout;
+  this.method = method;
+  this.url = errUrl;
+
+  /* istanbul ignore else */
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  }
+};
+
+util.inherits(TimeoutError, Error);
+TimeoutError.prototype.name = 'TimeoutError';
+
+const errorClassForStatus = status => {
+  switch (status) {
+    case 401: return UnauthorizedError;
+    case 403: return ForbiddenError;
+    case 404: return NotFoundError;
+    case 409: return ConflictError;
+    case 412: return PreconditionFailedError;
+    default: return status >= 500 ? ServerError : CouchError;
+  }
+};
+
+/**
+ * Return an Observable which reads the body of a failed response and then
+ * sends an onError notification with the appropriate error object.
+ */
+
+const fromResponse = (response, method, errUrl) => {
+  return response.text()
+    .catch(() => Rx.Observable.just(''))
+    .flatMap(text => {
+      let body = text;
+      try {
+        body = JSON.parse(text);
+      } catch (e) {
+        // Not JSON. Keep the raw text.
+      }
+
+      const ErrorClass = errorClassForStatus(response.status);
+      return Rx.Observable.throw(new ErrorClass(response, body, (method || 'get').toUpperCase(), errUrl));
+    });
+};
+
+module.exports = {
+  CouchError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  ServerError,
+  TimeoutError,
+  fromResponse
+};
@@ -0,0 +1,156 @@
+'use strict';
+
+const deepEqual = require('deep-eql');
+
+/**
+ * Validate a query for `db.observeQuery` and throw if it is malformed.
+ * `context` is used to prefix the error message. Returns a normalized
+ * description of the query: {kind, options} plus, for a view, `ddoc` and
+ * `viewName`, and for a Mango query, `selector`.
+ */
+
+const parse = (query, context) => {
+  if (!query || typeof (query) !== 'object' || Array.isArray(query)) {
+    throw new Error(context + ': query must be an object');
+  }
+
+  const kinds = ['allDocs', 'view', 'selector'].filter(kind => query[kind] !== undefined);
+  if (kinds.length !== 1) {
+    throw new Error(context + ': query must have exactly one of allDocs, view, or selector');
+  }
+
+  const options = query.options || {};
+  if (typeof (options) !== 'object' || Array.isArray(options)) {
+    throw new Error(context + ': query.options, if present, must be an object');
+  }
+
+  const kind = kinds[0];
+  let result = {kind: kind, options: options};
+
+  switch (kind) {
+    case 'allDocs':
+      if (query.allDocs !== true) {
+        throw new Error(context + ': query.allDocs must be true');
+      }
+      if (options.keys !== undefined && !Array.isArray(options.keys)) {
+        throw new Error(context + ': query.options.keys, if present, must be an array');
+      }
+      break;
+
+    case 'view': {
+      const match = typeof (query.view) === 'string' && query.view.replace(/^_design\//, '').match(/^([^/]+)\/([^/]+)$/);
+      if (!match) {
+        throw new Error(context + ': query.view must be of the form "ddoc/view"');
+      }
+      if (options.reduce === true || options.group !== undefined || options.group_level !== undefined) {
+        throw new Error(context + ': reduced view queries are not supported');
+      }
+      result.ddoc = match[1];
+      result.viewName = match[2];
+      break;
+    }
+
+    case 'selector':
+      if (!query.selector || typeof (query.selector) !== 'object' || Array.isArray(query.selector)) {
+        throw new Error(context + ': query.selector must be an object');
+      }
+      if (options.fields !== undefined && (!Array.isArray(options.fields) || options.fields.indexOf('_id') === -1)) {
+        throw new Error(context + ': query.options.fields, if present, must include _id');
+      }
+      result.selector = query.selector;
+      break;
+  }
+
+  return result;
+};
+
+const firstDefined = (a, b) => a !== undefined ? a : b;
+
+/**
+ * Return true if a document with this ID could appear in the result of an
+ * `allDocs` query with these options. IDs are compared by code point.
+ */
+
+const isInRange = (id, options) => {
+  if (options.keys !== undefined) {
+    return options.keys.indexOf(id) !== -1;
+  }
+  if (options.key !== undefined) {
+    return id === options.key;
+  }
+
+  const start = firstDefined(options.startkey, options.start_key);
+  const end = firstDefined(options.endkey, options.end_key);
+  const inclusiveEnd = options.inclusive_end !== false;
+
+  if (options.descending) {
+    return (start === undefined || id <= start) &&
+      (end === undefined || (inclusiveEnd ? id >= end : id > end));
+  }
+  return (start === undefined || id >= start) &&
+    (end === undefined || (inclusiveEnd ? id <= end : id < end));
+};
+
+/**
+ * Return a function which identifies a row of a query result of the given
+ * kind, so that rows can be matched up across results.
+ */
+
+const rowKeyFor = kind => {
+  switch (kind) {
+    case 'allDocs':
+      return row => row.id !== undefined ? row.id : JSON.stringify(row.key);
+    case 'view':
+      return row => JSON.stringify([row.id, row.key]);
+    default:
+      return doc => doc._id;
+  }
+};
+
+// Map each row by its key. A view may emit the same key more than once for
+// a document, so repeats are numbered.
+
+const keyRows = (rows, rowKey) => {
+  let counts = {};
+  let keyed = {};
+  rows.forEach(row => {
+    const key = rowKey(row);
+    counts[key] = (counts[key] || 0) + 1;
+    keyed[key + '\u0000' + counts[key]] = row;
+  });
+  return keyed;
+};
+
+/**
+ * Compare two query results (arrays of rows). Returns {rows, added, removed,
+ * changed}, where `rows` is the new result and the others list the rows that
+ * were added, removed, or changed (as they now are).
+ */
+
+const diffRows = (oldRows, newRows, rowKey) => {
+  const oldKeyed = keyRows(oldRows, rowKey);
+  const newKeyed = keyRows(newRows, rowKey);
+
+  let added = [];
+  let changed = [];
+  Object.keys(newKeyed).forEach(key => {
+    if (!oldKeyed.hasOwnProperty(key)) {
+      added.push(newKeyed[key]);
+    } else if (!deepEqual(oldKeyed[key], newKeyed[key])) {
+      changed.push(newKeyed[key]);
+    }
+  });
+
+  const removed = Object.keys(oldKeyed)
+    .filter(key => !newKeyed.hasOwnProperty(key))
+    .map(key => oldKeyed[key]);
+
+  return {rows: newRows, added: added, removed: removed, changed: changed};
+};
+
+module.exports = {
+  parse,
+  isInRange,
+  rowKeyFor,
+  diffRows
+};
@@ -0,0 +1,153 @@
+'use strict';
+
+const deepEqual = require('deep-eql');
+const deepMerge = require('deepmerge');
+
+/**
+ * Sentinel value which removes a field when it appears in the value passed
+ * to `db.update` (i.e. db.update({_id: 'x', obsolete: RxCouch.deleteField})).
+ */
+
+const deleteField = Symbol('rxCouch.deleteField');
+
+const arrayStrategies = ['merge', 'replace', 'concat', 'union'];
+
+const isObject = value => !!value && typeof (value) === 'object' && !Array.isArray(value);
+
+/**
+ * Validate merge options and throw if they are malformed. `context` is used
+ * to prefix the error message. Merge options are:
+ *
+ *    - patch: (optional, String) 'deep' (default) merges the new value into
+ *         the existing document; 'mergePatch' applies the new value as an
+ *         RFC 7396 JSON Merge Patch (null removes a field; arrays and other
+ *         non-object values replace the existing value)
+ *    - arrays: (optional, String) how arrays are combined when patch is
+ *         'deep': 'merge' (default; combines element by element, as the
+ *         deepmerge package does), 'replace', 'concat', or 'union' (adds new
+ *         elements that are not already present)
+ *    - unionKey: (optional, String) with arrays: 'union', object elements
+ *         with the same value for this field are considered the same
+ *         element and are merged rather than added
+ */
+
+const validate = (mergeOptions, context) => {
+  if (mergeOptions === undefined) {
+    return;
+  }
+
+  if (!isObject(mergeOptions)) {
+    throw new Error(context + ': merge, if present, must be an object');
+  }
+
+  if (mergeOptions.patch !== undefined && ['deep', 'mergePatch'].indexOf(mergeOptions.patch) === -1) {
+    throw new Error(context + ': merge.patch must be "deep" or "mergePatch"');
+  }
+
+  if (mergeOptions.arrays !== undefined && arrayStrategies.indexOf(mergeOptions.arrays) === -1) {
+    throw new Error(context + ': merge.arrays must be one of "' + arrayStrategies.join('", "') + '"');
+  }
+
+  if (mergeOptions.unionKey !== undefined && typeof (mergeOptions.unionKey) !== 'string') {
+    throw new Error(context + ': merge.unionKey, if present, must be a string');
+  }
+};
+
+// RFC 7396, section 2.
+
+const mergePatch = (target, patch) => {
+  if (!isObject(patch)) {
+    return patch;
+  }
+
+  let result = isObject(target) ? Object.assign({}, target) : {};
+  Object.keys(patch).forEach(key => {
+    if (patch[key] === null || patch[key] === deleteField) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], patch[key]);
+    }
+  });
+  return result;
+};
+
+// Copy a value from the new content, dropping any deleteField sentinels.
+
+const withoutSentinels = value => {
+  if (Array.isArray(value)) {
+    return value.filter(item => item !== deleteField).map(withoutSentinels);
+  }
+  if (isObject(value)) {
+    return deepMergeObjects({}, value, {});
+  }
+  return value;
+};
+
+const mergeArrays = (target, source, mergeOptions) => {
+  switch (mergeOptions.arrays) {
+    case 'replace':
+      return withoutSentinels(source);
+
+    case 'concat':
+      return target.concat(withoutSentinels(source));
+
+    case 'union': {
+      const unionKey = mergeOptions.unionKey;
+      let result = target.slice();
+      withoutSentinels(source).forEach(item => {
+        if (unionKey && isObject(item) && item[unionKey] !== undefined) {
+          const index = result.findIndex(existing => isObject(existing) && deepEqual(existing[unionKey], item[unionKey]));
+          if (index !== -1) {
+            result[index] = deepMergeObjects(result[index], item, mergeOptions);
+            return;
+          }
+        }
+        if (!result.some(existing => deepEqual(existing, item))) {
+          result.push(item);
+        }
+      });
+      return result;
+    }
+
+    default:
+      return deepMerge(target, withoutSentinels(source));
+  }
+};
+
+const deepMergeObjects = (target, source, mergeOptions) => {
+  let result = Object.assign({}, target);
+  Object.keys(source).forEach(key => {
+    const sourceValue = source[key];
+    const targetValue = result[key];
+
+    if (sourceValue === deleteField) {
+      delete result[key];
+    } else if (isObject(sourceValue)) {
+      result[key] = deepMergeObjects(isObject(targetValue) ? targetValue : {}, sourceValue, mergeOptions);
+    } else if (Array.isArray(sourceValue) && Array.isArray(targetValue)) {
+      result[key] = mergeArrays(targetValue, sourceValue, mergeOptions);
+    } else {
+      result[key] = withoutSentinels(sourceValue);
+    }
+  });
+  return result;
+};
+
+/**
+ * Merge new content into an existing document value according to the merge
+ * options (see `validate` above). Neither input is modified.
+ */
+
+const merge = (target, source, mergeOptions) => {
+  mergeOptions = mergeOptions || {};
+  if (mergeOptions.patch === 'mergePatch') {
+    return mergePatch(target, source);
+  }
+  return deepMergeObjects(target, source, mergeOptions);
+};
+
+module.exports = {
+  deleteField,
+  validate,
+  merge
+};
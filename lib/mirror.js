@@ -0,0 +1,191 @@
+'use strict';
+
+const Rx = require('rx');
+
+const liveQuery = require('./liveQuery');
+
+/**
+ * An in-memory copy of a database, or of part of one, which is loaded with
+ * `allDocs` and then kept current by following the changes feed. Created by
+ * `db.mirror`; see there for options.
+ *
+ * Lookups are synchronous and read from the copy, so they may trail the
+ * database slightly. Documents returned are the copy's own objects and must
+ * be treated as read-only. Design documents are not included.
+ *
+ * `ready` is an Observable which sends true and completes once the initial
+ * load is done (or fails if it can't be done). `changes` is an Observable
+ * which sends {id, doc, deleted, seq} for each change applied to the copy
+ * after that; `doc` is undefined when `deleted` is true (the document was
+ * deleted, or no longer passes the filter).
+ */
+
+let Mirror = function (db, options, updateSeq) {
+  this._db = db;
+  this._options = options;
+  this._docs = Object.create(null);
+  this._seq = undefined;
+  this._isReady = false;
+
+  const readySubject = new Rx.AsyncSubject();
+  const changesSubject = new Rx.Subject();
+  this._changesSubject = changesSubject;
+  this.ready = readySubject.asObservable();
+  this.changes = changesSubject.asObservable();
+
+  // Capture the update sequence before loading, so that following the
+  // changes feed from there covers anything the load might have missed.
+
+  this._subscription = updateSeq
+    .flatMap(seq => this._load().map(() => seq))
+    .tap(seq => {
+      this._seq = seq;
+      this._isReady = true;
+      readySubject.onNext(true);
+      readySubject.onCompleted();
+    })
+    .flatMap(seq => db.changes(this._feedOptions(seq)))
+    .subscribe(
+      change => this._apply(change),
+      err => {
+        if (!this._isReady) {
+          readySubject.onError(err);
+        }
+        changesSubject.onError(err);
+      });
+};
+
+Mirror.prototype._isInScope = function (id) {
+  if (/^_design\//.test(id)) {
+    return false;
+  }
+  if (this._options.doc_ids) {
+    return this._options.doc_ids.indexOf(id) !== -1;
+  }
+  return liveQuery.isInRange(id, {startkey: this._options.startkey, endkey: this._options.endkey});
+};
+
+Mirror.prototype._accepts = function (doc) {
+  return !!doc && !doc._deleted && (!this._options.filter || !!this._options.filter(doc));
+};
+
+Mirror.prototype._load = function () {
+  let loadOptions = {include_docs: true, stream: true};
+  if (this._options.doc_ids) {
+    loadOptions.keys = this._options.doc_ids;
+  } else {
+    ['startkey', 'endkey'].forEach(name => {
+      if (this._options[name] !== undefined) {
+        loadOptions[name] = this._options[name];
+      }
+    });
+  }
+
+  return this._db.allDocs(loadOptions)
+    .tap(row => {
+      if (row.id !== undefined && this._isInScope(row.id) && this._accepts(row.doc)) {
+        this._docs[row.id] = row.doc;
+      }
+    })
+    .toArray();
+};
+
+Mirror.prototype._feedOptions = function (since) {
+  let feedOptions = {feed: this._options.feed || 'longpoll', since: since, include_docs: true};
+  if (this._options.doc_ids) {
+    feedOptions.doc_ids = this._options.doc_ids;
+  }
+  ['reconnect', 'onConnectionState'].forEach(name => {
+    if (this._options[name] !== undefined) {
+      feedOptions[name] = this._options[name];
+    }
+  });
+  return feedOptions;
+};
+
+Mirror.prototype._apply = function (change) {
+  if (change.seq !== undefined) {
+    this._seq = change.seq;
+  }
+
+  const id = change.id;
+  if (!this._isInScope(id)) {
+    return;
+  }
+
+  const doc = change.deleted ? undefined : change.doc;
+  if (this._accepts(doc)) {
+    this._docs[id] = doc;
+    this._changesSubject.onNext({id: id, doc: doc, deleted: false, seq: change.seq});
+  } else if (id in this._docs) {
+    delete this._docs[id];
+    this._changesSubject.onNext({id: id, doc: undefined, deleted: true, seq: change.seq});
+  }
+};
+
+/**
+ * Return the document with the given ID, or undefined if there is none.
+ */
+
+Mirror.prototype.get = function (id) {
+  return this._docs[id];
+};
+
+/**
+ * Return true if there is a document with the given ID.
+ */
+
+Mirror.prototype.has = function (id) {
+  return id in this._docs;
+};
+
+/**
+ * Return all documents, in order of ID.
+ */
+
+Mirror.prototype.all = function () {
+  return Object.keys(this._docs).sort().map(id => this._docs[id]);
+};
+
+/**
+ * Return the documents for which `predicate(doc)` returns true, in order of
+ * ID.
+ */
+
+Mirror.prototype.query = function (predicate) {
+  if (typeof (predicate) !== 'function') {
+    throw new Error('rxCouch.Mirror.query: predicate must be a function');
+  }
+  return this.all().filter(doc => predicate(doc));
+};
+
+/**
+ * Return true once the initial load is done.
+ */
+
+Mirror.prototype.isReady = function () {
+  return this._isReady;
+};
+
+/**
+ * Return the sequence of the last change applied (or, before any change has
+ * been applied, the sequence as of the initial load). Following the feed
+ * resumes from here after a reconnect.
+ */
+
+Mirror.prototype.lastSeq = function () {
+  return this._seq;
+};
+
+/**
+ * Stop following the changes feed. The copy remains available as it was.
+ */
+
+Mirror.prototype.dispose = function () {
+  this._subscription.dispose();
+  this._changesSubject.onCompleted();
+};
+
+module.exports = {
+  Mirror
+};
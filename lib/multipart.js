@@ -0,0 +1,122 @@
+'use strict';
+
+/**
+ * Return the boundary parameter of a multipart Content-Type header, or
+ * undefined if there is none.
+ */
+
+const boundaryFrom = contentType => {
+  const match = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  return match ? (match[1] || match[2]) : undefined;
+};
+
+const parseHeaders = headerText => {
+  let headers = {};
+  headerText.split('\r\n').forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.substring(0, colon).trim().toLowerCase()] = line.substring(colon + 1).trim();
+    }
+  });
+  return headers;
+};
+
+/**
+ * Split a multipart body (as a Buffer) into its parts. Returns an array of
+ * {headers, body} where headers has lower-cased names and body is a Buffer.
+ * Throws if the body is not well-formed.
+ */
+
+const parse = (buffer, contentType) => {
+  const boundary = boundaryFrom(contentType);
+  if (!boundary) {
+    throw new Error('rxCouch: multipart response has no boundary');
+  }
+
+  const delimiter = Buffer.from('--' + boundary);
+  const headerEnd = Buffer.from('\r\n\r\n');
+
+  let parts = [];
+  let start = buffer.indexOf(delimiter);
+  if (start === -1) {
+    throw new Error('rxCouch: malformed multipart response');
+  }
+
+  for (;;) {
+    start += delimiter.length;
+    if (buffer[start] === 0x2d && buffer[start + 1] === 0x2d) {
+      // "--" after the delimiter marks the end of the body.
+      return parts;
+    }
+
+    const next = buffer.indexOf(delimiter, start);
+    if (next === -1) {
+      throw new Error('rxCouch: malformed multipart response');
+    }
+
+    // Each part starts after the CRLF that ends the delimiter line and ends
+    // before the CRLF that precedes the next delimiter.
+
+    const part = buffer.slice(start + 2, next - 2);
+    const split = part.indexOf(headerEnd);
+    if (part[0] === 0x0d && part[1] === 0x0a) {
+      // No headers.
+      parts.push({headers: {}, body: part.slice(2)});
+    } else if (split === -1) {
+      parts.push({headers: parseHeaders(part.toString('utf8')), body: part.slice(0, 0)});
+    } else {
+      parts.push({
+        headers: parseHeaders(part.slice(0, split).toString('utf8')),
+        body: part.slice(split + headerEnd.length)
+      });
+    }
+
+    start = next;
+  }
+};
+
+/**
+ * Return the filename from a Content-Disposition header, if any.
+ */
+
+const filenameFrom = contentDisposition => {
+  const match = /filename="((?:[^"\\]|\\.)*)"/i.exec(contentDisposition || '');
+  return match ? match[1].replace(/\\(.)/g, '$1') : undefined;
+};
+
+/**
+ * Decode a CouchDB multipart/related document response: the first part is
+ * the document as JSON; each following part is the content of an attachment
+ * marked `follows: true`. Returns the document with each such attachment's
+ * `data` set to a Buffer.
+ */
+
+const parseDocument = (buffer, contentType) => {
+  const parts = parse(buffer, contentType);
+  if (parts.length === 0) {
+    throw new Error('rxCouch: malformed multipart response');
+  }
+
+  let doc = JSON.parse(parts[0].body.toString('utf8'));
+  const attachments = doc._attachments || {};
+
+  // CouchDB sends attachments in the same order as the _attachments object,
+  // and (since 2.0) names each one in its Content-Disposition header.
+
+  const followingNames = Object.keys(attachments).filter(name => attachments[name].follows);
+  parts.slice(1).forEach((part, index) => {
+    const name = filenameFrom(part.headers['content-disposition']) || followingNames[index];
+    if (name && attachments[name]) {
+      attachments[name].data = part.body;
+      delete attachments[name].follows;
+    }
+  });
+
+  return doc;
+};
+
+module.exports = {
+  boundaryFrom,
+  parse,
+  parseDocument
+};
@@ -0,0 +1,187 @@
+'use strict';
+
+const deepEqual = require('deep-eql');
+
+const opNames = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+// Parse an RFC 6901 JSON Pointer into its reference tokens.
+
+const parsePointer = pointer => {
+  if (pointer === '') {
+    return [];
+  }
+  if (pointer[0] !== '/') {
+    throw new Error('rxCouch: invalid JSON pointer "' + pointer + '"');
+  }
+  return pointer.substring(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Validate a list of RFC 6902 JSON Patch operations and throw if it is
+ * malformed. `context` is used to prefix the error message.
+ */
+
+const validate = (ops, context) => {
+  if (!Array.isArray(ops)) {
+    throw new Error(context + ': ops must be an array');
+  }
+
+  ops.forEach(op => {
+    if (!op || typeof (op) !== 'object' || opNames.indexOf(op.op) === -1) {
+      throw new Error(context + ': invalid patch operation');
+    }
+    if (typeof (op.path) !== 'string') {
+      throw new Error(context + ': patch operation is missing path');
+    }
+    if ((op.op === 'move' || op.op === 'copy') && typeof (op.from) !== 'string') {
+      throw new Error(context + ': patch operation is missing from');
+    }
+    if ((op.op === 'add' || op.op === 'replace' || op.op === 'test') && !('value' in op)) {
+      throw new Error(context + ': patch operation is missing value');
+    }
+    parsePointer(op.path);
+    if (op.from !== undefined) {
+      parsePointer(op.from);
+    }
+  });
+};
+
+const clone = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+// Return the container addressed by all but the last token, and the last token.
+
+const locate = (doc, pointer) => {
+  const tokens = parsePointer(pointer);
+  let parent = doc;
+  for (let i = 0; i < tokens.length - 1; i++) {
+    const token = tokens[i];
+    if (!parent || typeof (parent) !== 'object' ||
+        !Object.prototype.hasOwnProperty.call(parent, Array.isArray(parent) ? Number(token) : token)) {
+      throw new Error('rxCouch: patch path "' + pointer + '" does not exist');
+    }
+    parent = parent[Array.isArray(parent) ? Number(token) : token];
+  }
+  if (!parent || typeof (parent) !== 'object') {
+    throw new Error('rxCouch: patch path "' + pointer + '" does not exist');
+  }
+  return {parent: parent, key: tokens[tokens.length - 1]};
+};
+
+const arrayIndex = (array, key, allowEnd, pointer) => {
+  if (allowEnd && key === '-') {
+    return array.length;
+  }
+  const index = /^(0|[1-9][0-9]*)$/.test(key) ? Number(key) : -1;
+  if (index < 0 || index > array.length || (!allowEnd && index === array.length)) {
+    throw new Error('rxCouch: patch path "' + pointer + '" does not exist');
+  }
+  return index;
+};
+
+const getValue = (doc, pointer) => {
+  if (pointer === '') {
+    return doc;
+  }
+  const location = locate(doc, pointer);
+  if (Array.isArray(location.parent)) {
+    return location.parent[arrayIndex(location.parent, location.key, false, pointer)];
+  }
+  if (!Object.prototype.hasOwnProperty.call(location.parent, location.key)) {
+    throw new Error('rxCouch: patch path "' + pointer + '" does not exist');
+  }
+  return location.parent[location.key];
+};
+
+const addValue = (doc, pointer, value) => {
+  if (pointer === '') {
+    return value;
+  }
+  const location = locate(doc, pointer);
+  if (Array.isArray(location.parent)) {
+    location.parent.splice(arrayIndex(location.parent, location.key, true, pointer), 0, value);
+  } else {
+    location.parent[location.key] = value;
+  }
+  return doc;
+};
+
+const removeValue = (doc, pointer) => {
+  if (pointer === '') {
+    return undefined;
+  }
+
+  getValue(doc, pointer);
+    // Throws if the value doesn't exist.
+
+  const location = locate(doc, pointer);
+  if (Array.isArray(location.parent)) {
+    location.parent.splice(arrayIndex(location.parent, location.key, false, pointer), 1);
+  } else {
+    delete location.parent[location.key];
+  }
+  return doc;
+};
+
+// Unlike remove followed by add, this keeps an object's keys in order.
+
+const replaceValue = (doc, pointer, value) => {
+  if (pointer === '') {
+    return value;
+  }
+
+  getValue(doc, pointer);
+    // Throws if the value doesn't exist.
+
+  const location = locate(doc, pointer);
+  location.parent[Array.isArray(location.parent) ? Number(location.key) : location.key] = value;
+  return doc;
+};
+
+/**
+ * Apply a list of RFC 6902 JSON Patch operations to a document value and
+ * return the result. The input is not modified. Throws if any operation
+ * fails (including a failed 'test'), in which case no change is made.
+ */
+
+const apply = (doc, ops) => {
+  let result = clone(doc);
+
+  ops.forEach(op => {
+    switch (op.op) {
+      case 'add':
+        result = addValue(result, op.path, clone(op.value));
+        break;
+
+      case 'remove':
+        result = removeValue(result, op.path);
+        break;
+
+      case 'replace':
+        result = replaceValue(result, op.path, clone(op.value));
+        break;
+
+      case 'move': {
+        const value = getValue(result, op.from);
+        result = addValue(removeValue(result, op.from), op.path, value);
+        break;
+      }
+
+      case 'copy':
+        result = addValue(result, op.path, clone(getValue(result, op.from)));
+        break;
+
+      case 'test':
+        if (!deepEqual(getValue(result, op.path), op.value)) {
+          throw new Error('rxCouch: patch test failed at "' + op.path + '"');
+        }
+        break;
+    }
+  });
+
+  return result;
+};
+
+module.exports = {
+  validate,
+  apply
+};
@@ -0,0 +1,284 @@
+'use strict';
+
+const Rx = require('rx');
+const rxFetch = require('rx-fetch');
+const http = require('http');
+const https = require('https');
+const shallowCopy = require('shallow-copy');
+
+const errors = require('./errors');
+const multipart = require('./multipart');
+const retry = require('./retry');
+const stream = require('./stream');
+
+const addHeaders = (options, headers) => {
+  let optionsCopy = shallowCopy(options || {});
+  optionsCopy.headers = Object.assign({}, optionsCopy.headers, headers);
+  return optionsCopy;
+};
+
+const isIdempotent = options => {
+  const method = ((options && options.method) || 'get').toLowerCase();
+  if (method === 'get' || method === 'head') {
+    return true;
+  }
+  return !!(options && options.headers && options.headers['If-Match'] &&
+    (method === 'put' || method === 'delete'));
+};
+
+// True if the fetch implementation aborts a request when its AbortSignal
+// fires, as the one built into Node 18+ (or a browser) does. The node-fetch
+// used on older versions of Node ignores the signal.
+
+const fetchHonorsSignal = () =>
+  typeof (Request) === 'function' && 'signal' in Request.prototype;
+
+// Return the server's keep-alive agent for the protocol of this URL.
+
+const sharedAgent = (server, fetchUrl) => {
+  const isHttps = /^https:/i.test(fetchUrl);
+  const protocol = isHttps ? 'https' : 'http';
+  if (!server._agents[protocol]) {
+    server._agents[protocol] = isHttps
+      ? new https.Agent({keepAlive: true})
+      : new http.Agent({keepAlive: true});
+  }
+  return server._agents[protocol];
+};
+
+// Create the means to cancel one HTTP request. Where fetch honors it, that is
+// an AbortSignal. Otherwise, the request is given an agent of its own, which
+// hands it to the server's shared agent but keeps hold of it, so that
+// aborting destroys only this request's connection.
+
+const Cancellation = function (server, fetchUrl) {
+  if (fetchHonorsSignal()) {
+    this._controller = new AbortController();
+    this.signal = this._controller.signal;
+    return;
+  }
+
+  // The request reads the agent's settings (i.e. keepAlive) through the
+  // prototype.
+
+  const agent = sharedAgent(server, fetchUrl);
+  this.agent = Object.create(agent);
+  this.agent.addRequest = (req, options) => {
+    this._request = req;
+    return agent.addRequest(req, options);
+  };
+};
+
+Cancellation.prototype.abort = function () {
+  if (this._controller) {
+    this._controller.abort();
+  }
+  if (this._request) {
+    this._request.abort();
+  }
+};
+
+// Run a request pipeline with a Cancellation. If the subscription is disposed
+// before the pipeline finishes (including when the request timeout expires),
+// the HTTP request is aborted and its connection closed.
+
+const abortable = (server, fetchUrl, makePipeline) => Rx.Observable.create(observer => {
+  const cancellation = new Cancellation(server, fetchUrl);
+  let finished = false;
+
+  const subscription = makePipeline(cancellation).subscribe(
+    value => observer.onNext(value),
+    err => {
+      finished = true;
+      observer.onError(err);
+    },
+    () => {
+      finished = true;
+      observer.onCompleted();
+    });
+
+  return () => {
+    subscription.dispose();
+    if (!finished) {
+      cancellation.abort();
+    }
+  };
+});
+
+/**
+ * Issue an HTTP request on behalf of a server object, applying its
+ * authentication settings. Returns an Observable which mimics the result
+ * object from rx-fetch: it fires once with the response and also offers
+ * `failOnHttpError`, `failIfStatusNotIn`, `text`, and `json` helpers, plus
+ * `rows` and `lines`, which parse the body incrementally (see ./stream), `buffer` and
+ * `nodeStream` for binary bodies, and `document`, which accepts either a JSON
+ * or a multipart/related document response (see ./multipart). HTTP
+ * failures are reported using the error classes from ./errors.
+ *
+ * If the server uses cookie sessions and the request is rejected with a 401
+ * status, the session is renewed and the request is retried once.
+ *
+ * In addition to the usual fetch options, `options` may contain:
+ *    - retry: (optional, Boolean or Object) per-call override of the server's
+ *         retry policy (see ./retry)
+ *    - idempotent: (optional, Boolean) if true, the request is safe to repeat
+ *         even though it isn't a GET or a PUT/DELETE with If-Match
+ *    - requestTimeout: (optional, Number) per-call override of the server's
+ *         request timeout in ms
+ *    - onResponse: (optional, Function) called with the response as soon as
+ *         its headers have arrived with an acceptable status, before the
+ *         body is read (used by the helpers below)
+ *
+ * The helpers apply the request timeout and retry policy (retrying only
+ * requests that are safe to repeat) and abort the HTTP request if the
+ * subscription is disposed before the response has been read.
+ */
+
+module.exports = (server, fetchUrl, options) => {
+  const auth = server._auth;
+
+  let fetchOptions = shallowCopy(options || {});
+  delete fetchOptions.retry;
+  delete fetchOptions.idempotent;
+  delete fetchOptions.requestTimeout;
+  delete fetchOptions.onResponse;
+
+  const onResponse = options && options.onResponse;
+
+  const policy = (isIdempotent(options) || (options && options.idempotent))
+    ? retry.resolve(server._retry, options && options.retry)
+    : undefined;
+
+  const requestTimeout = (options && options.requestTimeout) || server._requestTimeout;
+  const method = (fetchOptions.method || 'get').toUpperCase();
+
+  const attempt = (isRenewal, cancellation) => {
+    const authHeaders = auth ? auth.headers() : Rx.Observable.just({});
+
+    return authHeaders
+      .flatMap(headers => {
+        let requestOptions = addHeaders(fetchOptions, headers);
+        if (cancellation && cancellation.signal) {
+          requestOptions.signal = cancellation.signal;
+        }
+        if (cancellation && cancellation.agent) {
+          requestOptions.agent = cancellation.agent;
+        }
+        return rxFetch(fetchUrl, requestOptions);
+      })
+      .flatMap(response => {
+        if (!auth) {
+          return Rx.Observable.just(response);
+        }
+
+        auth.noteResponse(response);
+
+        if (response.status === 401 && auth.canRenew() && !isRenewal) {
+          auth.invalidate();
+          return attempt(true, cancellation);
+        }
+
+        return Rx.Observable.just(response);
+      });
+  };
+
+  let result = Rx.Observable.defer(() => attempt(false));
+
+  const throwHttpError = response =>
+    errors.fromResponse(response, fetchOptions.method, fetchUrl);
+
+  const checkStatus = (cancellation, isAcceptable) => attempt(false, cancellation).flatMapLatest(response => {
+    if (!isAcceptable(response)) {
+      return throwHttpError(response);
+    } else {
+      if (onResponse) {
+        onResponse(response);
+      }
+      return Rx.Observable.just(response);
+    }
+  });
+
+  // Wrap a pipeline (given a Cancellation) with abort-on-dispose, the request
+  // timeout, and (unless noRetry is set) the retry policy.
+
+  const managed = (makePipeline, noRetry) => {
+    let pipeline = abortable(server, fetchUrl, makePipeline);
+
+    if (requestTimeout) {
+      pipeline = pipeline.timeout(requestTimeout,
+        Rx.Observable.defer(() => Rx.Observable.throw(
+          new errors.TimeoutError(requestTimeout, method, fetchUrl))));
+    }
+
+    return noRetry ? pipeline : retry.withRetry(pipeline, policy);
+  };
+
+  result.failOnHttpError = () => {
+    return managed(cancellation => checkStatus(cancellation, response => response.ok));
+  };
+
+  result.failIfStatusNotIn = acceptableStatusCodes => {
+    return managed(cancellation =>
+      checkStatus(cancellation, response => acceptableStatusCodes.indexOf(response.status) !== -1));
+  };
+
+  result.text = () => {
+    return managed(cancellation =>
+      checkStatus(cancellation, response => response.ok).flatMapLatest(response => response.text()));
+  };
+
+  result.json = () => {
+    return managed(cancellation =>
+      checkStatus(cancellation, response => response.ok).flatMapLatest(response => response.json()));
+  };
+
+  result.buffer = () => {
+    return managed(cancellation =>
+      checkStatus(cancellation, response => response.ok)
+        .flatMapLatest(response => stream.readBuffer(response._promiseResponse)));
+  };
+
+  // The stream is sent as soon as the response headers arrive, so the request
+  // timeout (and abort on dispose) do not cover reading the body.
+
+  result.nodeStream = () => {
+    return managed(cancellation =>
+      checkStatus(cancellation, response => response.ok)
+        .map(response => stream.toNodeStream(response._promiseResponse)));
+  };
+
+  result.document = () => {
+    return managed(cancellation =>
+      checkStatus(cancellation, response => response.ok).flatMapLatest(response => {
+        const contentType = response.headers.get('content-type') || '';
+        if (!/^multipart\//i.test(contentType)) {
+          return response.json();
+        }
+        return stream.readBuffer(response._promiseResponse)
+          .map(buffer => multipart.parseDocument(buffer, contentType));
+      }));
+  };
+
+  // Not retried, for the same reason as rows below. Note that the request
+  // timeout applies to the wait for each line, not to the whole response.
+
+  result.lines = () => {
+    return managed(cancellation =>
+      checkStatus(cancellation, response => response.ok)
+        .flatMapLatest(response => stream.lines(response._promiseResponse)),
+      true);
+  };
+
+  // Not retried, since a failure part way through the body would repeat items
+  // that were already sent. Note that this reaches into rx-fetch's response
+  // wrapper for the underlying fetch response, which owns the body stream.
+
+  result.rows = arrayKey => {
+    return managed(cancellation =>
+      checkStatus(cancellation, response => response.ok)
+        .flatMapLatest(response => stream.parseRows(response._promiseResponse, arrayKey)),
+      true);
+  };
+
+  return result;
+};
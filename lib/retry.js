@@ -0,0 +1,148 @@
+'use strict';
+
+const Rx = require('rx');
+
+const errors = require('./errors');
+
+/**
+ * Default retry policy. Used as the base for any policy given to the server
+ * constructor or to an individual call.
+ *
+ *    - maxAttempts: (Number) total number of attempts, including the first
+ *    - initialDelay: (Number) delay in ms before the first retry
+ *    - maxDelay: (Number) upper bound in ms for any single delay
+ *    - factor: (Number) multiplier applied to the delay after each retry
+ *    - jitter: (Number, 0..1) fraction of each delay that is randomized; 0
+ *         means delays are exactly as computed, 1 means anywhere from 0 to
+ *         the computed delay
+ *    - retryStatuses: (Array of Number) HTTP statuses that may be retried
+ *    - retryErrors: (Array of String) network error codes that may be retried
+ *    - scheduler: (Rx.Scheduler) scheduler used for delays; pass an
+ *         Rx.TestScheduler to test in virtual time
+ */
+
+const defaultPolicy = {
+  maxAttempts: 3,
+  initialDelay: 100,
+  maxDelay: 10000,
+  factor: 2,
+  jitter: 0.5,
+  retryStatuses: [500, 502, 503, 504],
+  retryErrors: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'],
+  scheduler: Rx.Scheduler.default
+};
+
+/**
+ * Validate a retry option (true, false, or a partial policy object) and
+ * throw if it is malformed. `context` is used to prefix the error message,
+ * and `optionName` (default 'retry') names the option in it.
+ */
+
+const validate = (retryOption, context, optionName) => {
+  const name = optionName || 'retry';
+
+  if (retryOption === undefined || typeof (retryOption) === 'boolean') {
+    return;
+  }
+
+  if (!retryOption || typeof (retryOption) !== 'object') {
+    throw new Error(context + ': ' + name + ', if present, must be a boolean or an object');
+  }
+
+  if (retryOption.maxAttempts !== undefined &&
+      (typeof (retryOption.maxAttempts) !== 'number' || retryOption.maxAttempts < 1)) {
+    throw new Error(context + ': ' + name + '.maxAttempts must be a positive number');
+  }
+
+  if (retryOption.jitter !== undefined &&
+      (typeof (retryOption.jitter) !== 'number' || retryOption.jitter < 0 || retryOption.jitter > 1)) {
+    throw new Error(context + ': ' + name + '.jitter must be a number between 0 and 1');
+  }
+};
+
+/**
+ * Combine a server-wide retry option with a per-call retry option. Returns
+ * a complete policy object, or undefined if requests should not be retried.
+ */
+
+const resolve = (serverOption, callOption) => {
+  if (callOption === false || (callOption === undefined && !serverOption)) {
+    return undefined;
+  }
+
+  const serverPolicy = typeof (serverOption) === 'object' ? serverOption : {};
+  const callPolicy = typeof (callOption) === 'object' ? callOption : {};
+  return Object.assign({}, defaultPolicy, serverPolicy, callPolicy);
+};
+
+/**
+ * Combine the server-wide and per-call retry options with the reconnect
+ * option of a changes feed. Returns a complete policy object, or undefined if
+ * the feed should not reconnect (i.e. reconnect is false). Backoff settings
+ * are taken from the retry options unless the reconnect option overrides
+ * them, but maxAttempts is unlimited by default: a feed keeps trying until
+ * it is told to stop.
+ */
+
+const resolveReconnect = (serverOption, callOption, reconnectOption) => {
+  if (reconnectOption === false) {
+    return undefined;
+  }
+
+  const partialPolicy = option => typeof (option) === 'object' ? option : {};
+  return Object.assign({}, defaultPolicy, partialPolicy(serverOption), partialPolicy(callOption),
+    {maxAttempts: Infinity}, partialPolicy(reconnectOption));
+};
+
+/**
+ * Return the delay (in ms) to wait before the given retry (1 = first retry).
+ */
+
+const computeDelay = (policy, retryNumber) => {
+  const baseDelay = Math.min(policy.maxDelay,
+    policy.initialDelay * Math.pow(policy.factor, retryNumber - 1));
+  return Math.round(baseDelay * (1 - policy.jitter * Math.random()));
+};
+
+const errorCode = err => err.code || (err.cause && err.cause.code);
+
+/**
+ * Return true if the policy considers this error transient.
+ */
+
+const isRetryable = (policy, err) => {
+  if (err instanceof errors.CouchError) {
+    return policy.retryStatuses.indexOf(err.status) !== -1;
+  }
+  return policy.retryErrors.indexOf(errorCode(err)) !== -1;
+};
+
+/**
+ * Return an Observable which resubscribes to `source` with exponential backoff
+ * whenever it fails with a retryable error, up to policy.maxAttempts total
+ * attempts. If policy is undefined, source is returned unchanged.
+ */
+
+const withRetry = (source, policy) => {
+  if (!policy || policy.maxAttempts <= 1) {
+    return source;
+  }
+
+  return source.retryWhen(failures => failures.flatMap((err, index) => {
+    const retryNumber = index + 1;
+    if (retryNumber >= policy.maxAttempts || !isRetryable(policy, err)) {
+      return Rx.Observable.throw(err);
+    }
+    return Rx.Observable.timer(computeDelay(policy, retryNumber), policy.scheduler);
+  }));
+};
+
+module.exports = {
+  defaultPolicy,
+  validate,
+  resolve,
+  resolveReconnect,
+  computeDelay,
+  isRetryable,
+  withRetry
+};
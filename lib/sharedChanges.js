@@ -0,0 +1,156 @@
+'use strict';
+
+const Rx = require('rx');
+
+const errors = require('./errors');
+
+/**
+ * Multiplexes the document updates needed by `db.observe` over a single
+ * longpoll changes feed per database, rather than one feed per observed
+ * document. The feed uses the _doc_ids filter with the IDs of all documents
+ * currently observed; when that set changes, the feed is restarted from the
+ * last sequence it has seen. If the server doesn't support the _doc_ids
+ * filter, an unfiltered feed (starting from that sequence) is used instead
+ * and updates are routed here. Any other failure is sent to all observers.
+ *
+ * `onIdle` is called when the last observer goes away, after which the
+ * object should not be used again. Used internally by `db.observe`.
+ */
+
+let SharedChangesFeed = function (db, onIdle) {
+  this._db = db;
+  this._onIdle = onIdle;
+  this._observers = {};
+  this._subscription = new Rx.SerialDisposable();
+  this._since = undefined;
+  this._restartScheduled = false;
+  this._unfilteredRunning = false;
+};
+
+/**
+ * Return an Observable which sends each new value of the document with the
+ * given ID, as reported by the changes feed. The document is added to the
+ * feed when this is subscribed and removed when the subscription is disposed.
+ */
+
+SharedChangesFeed.prototype.docs = function (id) {
+  return Rx.Observable.create(observer => {
+    const observers = this._observers[id] || [];
+    this._observers[id] = observers.concat([observer]);
+    if (observers.length === 0) {
+      this._scheduleRestart();
+    }
+
+    return () => this._remove(id, observer);
+  });
+};
+
+SharedChangesFeed.prototype._remove = function (id, observer) {
+  const observers = (this._observers[id] || []).filter(existing => existing !== observer);
+  if (observers.length > 0) {
+    this._observers[id] = observers;
+    return;
+  }
+
+  delete this._observers[id];
+  if (Object.keys(this._observers).length > 0) {
+    this._scheduleRestart();
+  } else {
+    this._subscription.dispose();
+    this._onIdle();
+  }
+};
+
+// Observers often come and go in groups (i.e. when a page of documents is
+// shown), so restart at most once per tick.
+
+SharedChangesFeed.prototype._scheduleRestart = function () {
+  if (this._restartScheduled) {
+    return;
+  }
+
+  this._restartScheduled = true;
+  Rx.Scheduler.default.schedule(null, () => {
+    this._restartScheduled = false;
+    this._restart();
+  });
+};
+
+SharedChangesFeed.prototype._restart = function () {
+  const ids = Object.keys(this._observers);
+  if (ids.length === 0) {
+    return;
+  }
+
+  // Some Couch servers do not support the _doc_ids filter. If we determine
+  // that this is such a server, then we stop trying. (We shouldn't expect the
+  // server to change its capabilities while we're talking to it.) The
+  // unfiltered feed covers every document, so it needn't be restarted.
+
+  if (this._db._dbDoesNotSupportDocIdsFilter) {
+    if (!this._unfilteredRunning) {
+      this._unfilteredRunning = true;
+      const since = this._since !== undefined ? this._since : 'now';
+      this._follow({feed: 'longpoll', include_docs: true, since: since}, false);
+    }
+    return;
+  }
+
+  let options = {doc_ids: ids, feed: 'longpoll', filter: '_doc_ids', include_docs: true};
+  if (this._since !== undefined) {
+    options.since = this._since;
+  }
+  this._follow(options, true);
+};
+
+// A server without the _doc_ids filter rejects the first request that uses
+// it: CouchDB 1.x with a 400, Couchbase Lite with a 404. (A 404 because the
+// database is missing is an ordinary failure.)
+
+const isDocIdsFilterUnsupported = err =>
+  err instanceof errors.CouchError &&
+  (err.status === 400 || (err.status === 404 && !/does not exist|no_db_file/i.test(err.reason || '')));
+
+SharedChangesFeed.prototype._follow = function (options, isFiltered) {
+  let isConnected = false;
+  const changes = this._db.changes(Object.assign({}, options, {
+    onConnectionState: event => {
+      if (event.state === 'connected') {
+        isConnected = true;
+      }
+    }
+  }));
+
+  this._subscription.setDisposable(changes.subscribe(
+    change => {
+      if (change.seq !== undefined) {
+        this._since = change.seq;
+      }
+      if (change.doc) {
+        (this._observers[change.doc._id] || []).slice().forEach(observer => observer.onNext(change.doc));
+      }
+    },
+    err => {
+      if (isFiltered && !isConnected && isDocIdsFilterUnsupported(err)) {
+        this._db._dbDoesNotSupportDocIdsFilter = true;
+        this._restart();
+      } else {
+        this._fail(err);
+      }
+    }));
+};
+
+SharedChangesFeed.prototype._fail = function (err) {
+  const observers = this._observers;
+  this._observers = {};
+  this._subscription.dispose();
+  this._onIdle();
+
+  Object.keys(observers).forEach(id => {
+    observers[id].forEach(observer => observer.onError(err));
+  });
+};
+
+module.exports = {
+  SharedChangesFeed
+};
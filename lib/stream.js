@@ -0,0 +1,342 @@
+'use strict';
+
+const Rx = require('rx');
+const Readable = require('stream').Readable;
+const StringDecoder = require('string_decoder').StringDecoder;
+
+/**
+ * Return an Observable which sends the body of a fetch response as a sequence
+ * of Buffers, as the data arrives. Handles both WHATWG ReadableStream bodies
+ * (Node 18+ fetch, browsers) and Node.js stream bodies (node-fetch).
+ */
+
+const binaryChunks = rawResponse => Rx.Observable.create(observer => {
+  const body = rawResponse.body;
+
+  if (!body) {
+    // No streaming support. Fall back to reading the whole body.
+
+    // (node-fetch offers buffer() rather than arrayBuffer().)
+
+    let cancelled = false;
+    const whole = typeof (rawResponse.arrayBuffer) === 'function'
+      ? rawResponse.arrayBuffer()
+      : rawResponse.buffer();
+    whole.then(
+      data => {
+        if (!cancelled) {
+          observer.onNext(Buffer.from(data));
+          observer.onCompleted();
+        }
+      },
+      err => {
+        if (!cancelled) {
+          observer.onError(err);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }
+
+  if (typeof (body.getReader) === 'function') {
+    const reader = body.getReader();
+    let cancelled = false;
+
+    const pump = () => {
+      reader.read().then(
+        chunk => {
+          if (cancelled) {
+            return;
+          }
+          if (chunk.done) {
+            observer.onCompleted();
+          } else {
+            observer.onNext(Buffer.from(chunk.value));
+            pump();
+          }
+        },
+        err => {
+          if (!cancelled) {
+            observer.onError(err);
+          }
+        });
+    };
+
+    pump();
+
+    return () => {
+      cancelled = true;
+      reader.cancel().catch(() => {});
+    };
+  }
+
+  const onData = data => observer.onNext(typeof (data) === 'string' ? Buffer.from(data) : data);
+  const onEnd = () => observer.onCompleted();
+  const onError = err => observer.onError(err);
+
+  body.on('data', onData);
+  body.on('end', onEnd);
+  body.on('error', onError);
+
+  return () => {
+    body.removeListener('data', onData);
+    body.removeListener('end', onEnd);
+    body.removeListener('error', onError);
+    if (typeof (body.destroy) === 'function') {
+      body.destroy();
+    }
+  };
+});
+
+/**
+ * Return an Observable which sends the body of a fetch response as a sequence
+ * of strings, as the data arrives. Multi-byte characters split across chunks
+ * are reassembled.
+ */
+
+const textChunks = rawResponse => Rx.Observable.defer(() => {
+  const decoder = new StringDecoder('utf8');
+
+  return binaryChunks(rawResponse)
+    .map(chunk => decoder.write(chunk))
+    .concat(Rx.Observable.defer(() => {
+      const rest = decoder.end();
+      return rest ? Rx.Observable.just(rest) : Rx.Observable.empty();
+    }))
+    .filter(text => text.length > 0);
+});
+
+/**
+ * Return an Observable which reads the whole body of a fetch response and
+ * sends it as a single Buffer.
+ */
+
+const readBuffer = rawResponse =>
+  binaryChunks(rawResponse)
+    .toArray()
+    .map(chunks => Buffer.concat(chunks));
+
+/**
+ * Return a Node.js Readable stream for the body of a fetch response.
+ */
+
+const toNodeStream = rawResponse => {
+  const body = rawResponse.body;
+
+  if (body && typeof (body.pipe) === 'function') {
+    return body;
+  }
+
+  if (body && typeof (body.getReader) === 'function' && typeof (Readable.fromWeb) === 'function') {
+    return Readable.fromWeb(body);
+  }
+
+  let subscription;
+  const readable = new Readable({
+    read: () => {
+      if (!subscription) {
+        subscription = binaryChunks(rawResponse).subscribe(
+          chunk => readable.push(chunk),
+          err => readable.emit('error', err),
+          () => readable.push(null));
+      }
+    }
+  });
+  return readable;
+};
+
+/**
+ * Return an Observable which sends the body of a fetch response one line at a
+ * time (without the line terminator), as each line arrives. Used for
+ * newline-delimited feeds such as the continuous changes feed.
+ */
+
+const lines = rawResponse => Rx.Observable.defer(() => {
+  let partial = '';
+
+  return textChunks(rawResponse)
+    .concatMap(chunk => {
+      let parts = (partial + chunk).split('\n');
+      partial = parts.pop();
+      return Rx.Observable.from(parts.map(line => line.replace(/\r$/, '')));
+    })
+    .concat(Rx.Observable.defer(() => partial ? Rx.Observable.just(partial) : Rx.Observable.empty()));
+});
+
+/**
+ * Given an Observable of lines in text/event-stream format, return an
+ * Observable which sends each event as {type, data, id}. Comments are
+ * ignored. See https://html.spec.whatwg.org/multipage/server-sent-events.html
+ */
+
+const serverSentEvents = lineSource => Rx.Observable.defer(() => {
+  let data = [];
+  let type;
+  let lastId;
+
+  return lineSource.concatMap(line => {
+    if (line === '') {
+      const event = data.length ? {type: type || 'message', data: data.join('\n'), id: lastId} : undefined;
+      data = [];
+      type = undefined;
+      return event ? Rx.Observable.just(event) : Rx.Observable.empty();
+    }
+
+    if (line[0] !== ':') {
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.substring(0, colon);
+      const value = colon === -1 ? '' : line.substring(colon + 1).replace(/^ /, '');
+
+      if (field === 'data') {
+        data.push(value);
+      } else if (field === 'event') {
+        type = value;
+      } else if (field === 'id') {
+        lastId = value;
+      }
+    }
+
+    return Rx.Observable.empty();
+  });
+});
+
+/**
+ * Incremental parser for CouchDB responses of the form
+ * {"some": ..., "rows": [{...}, {...}, ...], "other": ...}.
+ *
+ * Each object in the array named by `arrayKey` is parsed and returned as soon
+ * as it is complete, so the whole response never needs to be held in memory.
+ * The remaining top-level fields are collected and returned by `end()`.
+ */
+
+let RowParser = function (arrayKey) {
+  this._arrayKey = arrayKey;
+  this._depth = 0;
+  this._inString = false;
+  this._escape = false;
+  this._stringStart = -1;
+  this._lastString = undefined;
+  this._inArray = false;
+  this._itemStart = -1;
+  this._buffer = '';
+  this._outside = '';
+};
+
+/**
+ * Feed a chunk of text into the parser. Returns an array of the items that
+ * were completed by this chunk (possibly empty).
+ */
+
+RowParser.prototype.write = function (chunk) {
+  let items = [];
+  const text = this._buffer + chunk;
+  let i = this._buffer.length;
+  let copyFrom = this._inArray ? -1 : 0;
+    // Start of text (outside the array) not yet copied to _outside.
+
+  for (; i < text.length; i++) {
+    const c = text[i];
+
+    if (this._inString) {
+      if (this._escape) {
+        this._escape = false;
+      } else if (c === '\\') {
+        this._escape = true;
+      } else if (c === '"') {
+        this._inString = false;
+        if (this._depth === 1 && !this._inArray) {
+          this._lastString = JSON.parse(text.substring(this._stringStart, i + 1));
+        }
+      }
+      continue;
+    }
+
+    if (c === '"') {
+      this._inString = true;
+      this._stringStart = i;
+    } else if (c === '{' || c === '[') {
+      if (this._inArray && this._depth === 2 && c === '{') {
+        this._itemStart = i;
+      }
+      this._depth++;
+      if (c === '[' && this._depth === 2 && this._lastString === this._arrayKey && !this._inArray) {
+        this._inArray = true;
+        this._outside += text.substring(copyFrom, i + 1);
+        copyFrom = -1;
+      }
+    } else if (c === '}' || c === ']') {
+      this._depth--;
+      if (this._inArray && this._depth === 2 && c === '}' && this._itemStart !== -1) {
+        items.push(JSON.parse(text.substring(this._itemStart, i + 1)));
+        this._itemStart = -1;
+      } else if (this._inArray && this._depth === 1 && c === ']') {
+        this._inArray = false;
+        copyFrom = i;
+      }
+    }
+  }
+
+  // Keep only what we still need: the partial item (if any) and any text
+  // outside the array (for the envelope).
+
+  if (copyFrom !== -1) {
+    this._outside += text.substring(copyFrom);
+  }
+
+  if (this._itemStart !== -1) {
+    this._buffer = text.substring(this._itemStart);
+    this._itemStart = 0;
+  } else {
+    this._buffer = '';
+    if (this._inString) {
+      // A string (i.e. a key) outside any item was split across chunks.
+      // Its text is retained in _outside; re-scan it from there next time.
+      this._buffer = text.substring(this._stringStart);
+      this._outside = this._outside.substring(0, this._outside.length - this._buffer.length);
+      this._stringStart = 0;
+    }
+  }
+
+  return items;
+};
+
+/**
+ * Return the top-level fields other than the array (i.e. {total_rows: 5,
+ * offset: 0}). Call once all text has been written.
+ */
+
+RowParser.prototype.end = function () {
+  const outside = this._outside;
+  if (!outside.trim()) {
+    return {};
+  }
+  let envelope = JSON.parse(outside);
+  delete envelope[this._arrayKey];
+  return envelope;
+};
+
+/**
+ * Return an Observable which parses a response body incrementally. It sends
+ * {item: value} for each element of the array named by `arrayKey` as it
+ * arrives, then {envelope: value} with the remaining top-level fields.
+ */
+
+const parseRows = (rawResponse, arrayKey) => Rx.Observable.defer(() => {
+  const parser = new RowParser(arrayKey);
+
+  return textChunks(rawResponse)
+    .concatMap(chunk => Rx.Observable.from(parser.write(chunk).map(item => ({item: item}))))
+    .concat(Rx.Observable.defer(() => Rx.Observable.just({envelope: parser.end()})));
+});
+
+module.exports = {
+  binaryChunks,
+  textChunks,
+  readBuffer,
+  toNodeStream,
+  lines,
+  serverSentEvents,
+  RowParser,
+  parseRows
+};
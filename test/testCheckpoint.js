@@ -0,0 +1,162 @@
+'use strict';
+
+require('co-mocha');
+require('rx-to-async-iterator');
+
+const Rx = require('rx');
+const expect = require('chai').expect;
+const fs = require('fs');
+const nock = require('nock');
+const os = require('os');
+const path = require('path');
+const RxCouch = require('../lib/server');
+const CheckpointWriter = require('../lib/checkpoint').CheckpointWriter;
+
+// A checkpoint store which records each save and completes it when told to.
+
+const makeStore = () => {
+  let store = {saves: [], pending: []};
+  store.load = () => Rx.Observable.just(undefined);
+  store.save = seq => {
+    store.saves.push(seq);
+    const subject = new Rx.AsyncSubject();
+    store.pending.push(subject);
+    return subject;
+  };
+  store.finishSave = () => {
+    const subject = store.pending.shift();
+    subject.onNext(true);
+    subject.onCompleted();
+  };
+  return store;
+};
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('rx-couch checkpoints', () => {
+  describe('LocalDocCheckpoint', () => {
+    const db = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should throw if arguments are invalid', () => {
+      expect(() => new RxCouch.LocalDocCheckpoint()).to.throw('rxCouch.LocalDocCheckpoint: invalid db');
+      expect(() => new RxCouch.LocalDocCheckpoint(db)).to.throw('rxCouch.LocalDocCheckpoint: invalid document ID');
+    });
+
+    it('should load nothing if the document does not exist', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_local/worker')
+        .reply(404, '{"error":"not_found","reason":"missing"}');
+
+      const store = new RxCouch.LocalDocCheckpoint(db, 'worker');
+      expect(yield store.load().shouldGenerateOneValue()).to.equal(undefined);
+    });
+
+    it('should save and reload the sequence', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_local/worker')
+        .reply(200, '{"_id":"_local/worker","_rev":"0-3","seq":"10-a"}');
+
+      nock('http://localhost:5979')
+        .put('/test-rx-couch-db/_local/worker', {_rev: '0-3', seq: '12-b'})
+        .reply(201, '{"ok":true,"id":"_local/worker","rev":"0-4"}');
+
+      nock('http://localhost:5979')
+        .put('/test-rx-couch-db/_local/worker', {_rev: '0-4', seq: '13-c'})
+        .reply(201, '{"ok":true,"id":"_local/worker","rev":"0-5"}');
+
+      const store = new RxCouch.LocalDocCheckpoint(db, 'worker');
+      expect(yield store.load().shouldGenerateOneValue()).to.equal('10-a');
+      yield store.save('12-b').shouldGenerateOneValue();
+      yield store.save('13-c').shouldGenerateOneValue();
+      expect(nock.isDone()).to.equal(true);
+    });
+
+    it('should fetch the current revision after a conflict', function * () {
+      nock('http://localhost:5979')
+        .put('/test-rx-couch-db/_local/worker', {seq: 5})
+        .reply(409, '{"error":"conflict","reason":"Document update conflict."}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_local/worker')
+        .reply(200, '{"_id":"_local/worker","_rev":"0-7","seq":4}');
+
+      nock('http://localhost:5979')
+        .put('/test-rx-couch-db/_local/worker', {_rev: '0-7', seq: 5})
+        .reply(201, '{"ok":true,"id":"_local/worker","rev":"0-8"}');
+
+      const store = new RxCouch.LocalDocCheckpoint(db, '_local/worker');
+      yield store.save(5).shouldGenerateOneValue();
+      expect(nock.isDone()).to.equal(true);
+    });
+  });
+
+  describe('FileCheckpoint', () => {
+    let dir;
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rx-couch-'));
+    });
+
+    after(() => {
+      fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+      fs.rmdirSync(dir);
+    });
+
+    it('should throw if the path is invalid', () => {
+      expect(() => new RxCouch.FileCheckpoint()).to.throw('rxCouch.FileCheckpoint: invalid path');
+    });
+
+    it('should load nothing if the file does not exist', function * () {
+      const store = new RxCouch.FileCheckpoint(path.join(dir, 'missing.json'));
+      expect(yield store.load().shouldGenerateOneValue()).to.equal(undefined);
+    });
+
+    it('should save and reload the sequence', function * () {
+      const file = path.join(dir, 'seq.json');
+      const store = new RxCouch.FileCheckpoint(file);
+
+      yield store.save('42-abc').toArray().shouldGenerateOneValue();
+      expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal({seq: '42-abc'});
+      expect(fs.readdirSync(dir)).to.deep.equal(['seq.json']);
+
+      expect(yield new RxCouch.FileCheckpoint(file).load().shouldGenerateOneValue()).to.equal('42-abc');
+    });
+  });
+
+  describe('CheckpointWriter', () => {
+    it('should coalesce commits made while a save is in progress', function * () {
+      const store = makeStore();
+      const writer = new CheckpointWriter(store);
+
+      writer.commit(1);
+      writer.commit(2);
+      yield nextTick();
+      expect(store.saves).to.deep.equal([2]);
+
+      writer.commit(3);
+      writer.commit(4);
+      const done = writer.flush().toArray().toPromise();
+      yield nextTick();
+      expect(store.saves).to.deep.equal([2]);
+
+      store.finishSave();
+      yield nextTick();
+      expect(store.saves).to.deep.equal([2, 4]);
+
+      store.finishSave();
+      yield done;
+    });
+
+    it('should report a failed save to the commit', function * () {
+      let store = makeStore();
+      store.save = () => Rx.Observable.throw(new Error('disk full'));
+
+      const err = yield new CheckpointWriter(store).commit(1).shouldThrow();
+      expect(err.message).to.equal('disk full');
+    });
+  });
+});
@@ -1,5 +1,7 @@
 'use strict';
 
+/* global emit */
+
 require('co-mocha');
 require('rx-to-async-iterator');
 
@@ -8,6 +10,47 @@ const expect = require('chai').expect;
 const RxCouch = require('../lib/server');
 const nock = require('nock');
 const shallowCopy = require('shallow-copy');
+const http = require('http');
+
+// Start an HTTP server which never answers. Returns a Promise for
+// {server, url, request, requests}, where `request` is a Promise for the
+// first request received and `requests` lists all of them. Each is described
+// by {closed, isClosed}: a Promise which resolves once the connection for
+// the request closes, and a function which says whether it has.
+
+const startSilentServer = () => {
+  let requests = [];
+  let onRequest;
+  const request = new Promise(resolve => {
+    onRequest = resolve;
+  });
+
+  const server = http.createServer(req => {
+    let isClosed = false;
+    const received = {
+      closed: new Promise(resolve => req.socket.on('close', () => {
+        isClosed = true;
+        resolve();
+      })),
+      isClosed: () => isClosed
+    };
+    requests.push(received);
+    onRequest(received);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        server: server,
+        url: 'http://127.0.0.1:' + server.address().port,
+        request: request,
+        requests: requests
+      });
+    });
+  });
+};
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
 describe('rx-couch.db()', () => {
   const server = new RxCouch('http://127.0.0.1:5984');
@@ -125,6 +168,8 @@ describe('rx-couch.db()', () => {
 
     it('should fail when _id matches an existing document but no _rev is provided', function * () {
       const err = yield db.put({_id: 'testing123', foo: 'bar'}).shouldThrow();
+      expect(err).to.be.an.instanceof(RxCouch.ConflictError);
+      expect(err.error).to.equal('conflict');
       expect(err.message).to.equal('HTTP Error 409 on http://127.0.0.1:5984/test-rx-couch-db/testing123: Conflict');
     });
 
@@ -165,8 +210,75 @@ describe('rx-couch.db()', () => {
       expect(getResponse.foo).to.equal('bar');
     });
 
+    it('should close the connection when the subscription is disposed', function * () {
+      const silent = yield startSilentServer();
+      try {
+        const silentDb = new RxCouch(silent.url).db('test-rx-couch-db');
+        const subscription = silentDb.get('testing123').subscribe(() => {});
+        const request = yield silent.request;
+        subscription.dispose();
+        yield request.closed;
+      } finally {
+        silent.server.close();
+      }
+    });
+
+    it('should close the connection when the request times out', function * () {
+      const silent = yield startSilentServer();
+      try {
+        const silentDb = new RxCouch(silent.url, {requestTimeout: 100}).db('test-rx-couch-db');
+        const err = yield silentDb.get('testing123', {retry: false}).shouldThrow();
+        expect(err).to.be.an.instanceof(RxCouch.TimeoutError);
+        yield (yield silent.request).closed;
+      } finally {
+        silent.server.close();
+      }
+    });
+
+    it('should close only the connection of the request that is disposed', function * () {
+      const silent = yield startSilentServer();
+      try {
+        const silentDb = new RxCouch(silent.url).db('test-rx-couch-db');
+        const first = silentDb.get('testing123').subscribe(() => {});
+        const second = silentDb.get('testing456').subscribe(() => {});
+        while (silent.requests.length < 2) {
+          yield delay(10);
+        }
+
+        first.dispose();
+        yield silent.requests[0].closed;
+        yield delay(100);
+        expect(silent.requests[1].isClosed()).to.equal(false);
+        second.dispose();
+      } finally {
+        silent.server.close();
+      }
+    });
+
+    it('should reuse connections for successive requests', function * () {
+      let sockets = [];
+      const echoServer = http.createServer((req, res) => {
+        sockets.push(req.socket);
+        res.writeHead(200, {'Content-Type': 'application/json'});
+        res.end('{"_id":"testing123","_rev":"1-a"}');
+      });
+      yield new Promise(resolve => echoServer.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const echoDb = new RxCouch('http://127.0.0.1:' + echoServer.address().port).db('test-rx-couch-db');
+        yield echoDb.get('testing123').shouldGenerateOneValue();
+        yield echoDb.get('testing123').shouldGenerateOneValue();
+        expect(sockets.length).to.equal(2);
+        expect(sockets[1]).to.equal(sockets[0]);
+      } finally {
+        echoServer.close();
+      }
+    });
+
     it("should fail when _id doesn't match an existing document", function * () {
       const err = yield db.get('testing432').shouldThrow();
+      expect(err).to.be.an.instanceof(RxCouch.NotFoundError);
+      expect(err.error).to.equal('not_found');
       expect(err.message).to.equal('HTTP Error 404 on http://127.0.0.1:5984/test-rx-couch-db/testing432: Object Not Found');
     });
   });
@@ -254,6 +366,119 @@ describe('rx-couch.db()', () => {
         foo: 'baz'
       });
     });
+
+    it('should create a new document when the existing document is reported missing', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/update-nock')
+        .reply(404, '{"error":"not_found","reason":"missing"}');
+
+      nock('http://localhost:5979')
+        .put('/test-rx-couch-db/update-nock', '{"foo":"bar"}')
+        .reply(201, '{"ok":true,"id":"update-nock","rev":"1-abc"}');
+
+      const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+      const updateResponse = yield nockDb.update({_id: 'update-nock', foo: 'bar'}).shouldGenerateOneValue();
+      expect(updateResponse).to.deep.equal({ok: true, id: 'update-nock', rev: '1-abc'});
+    });
+
+    it('should pass through errors other than a missing document', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/update-nock')
+        .reply(500, '{"error":"unknown_error","reason":"function_clause"}');
+
+      const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+      const err = yield nockDb.update({_id: 'update-nock', foo: 'bar'}).shouldThrow();
+      expect(err).to.be.an.instanceof(RxCouch.ServerError);
+      expect(err.reason).to.equal('function_clause');
+    });
+
+    it('should throw if maxAttempts is invalid', () => {
+      expect(() => db.update({_id: 'x'}, {maxAttempts: 0}))
+        .to.throw('rxCouch.db.update: options.maxAttempts, if present, must be a positive number');
+    });
+
+    it('should start over after a conflict if maxAttempts allows', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/update-nock')
+        .reply(200, '{"_id":"update-nock","_rev":"1-abc","count":1}');
+
+      nock('http://localhost:5979', {reqheaders: {'If-Match': '1-abc'}})
+        .put('/test-rx-couch-db/update-nock', '{"count":1,"foo":"bar"}')
+        .reply(409, '{"error":"conflict","reason":"Document update conflict."}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/update-nock')
+        .reply(200, '{"_id":"update-nock","_rev":"2-def","count":2}');
+
+      nock('http://localhost:5979', {reqheaders: {'If-Match': '2-def'}})
+        .put('/test-rx-couch-db/update-nock', '{"count":2,"foo":"bar"}')
+        .reply(201, '{"ok":true,"id":"update-nock","rev":"3-ghi"}');
+
+      const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+      const updateResponse = yield nockDb.update({_id: 'update-nock', foo: 'bar'}, {maxAttempts: 2})
+        .shouldGenerateOneValue();
+      expect(updateResponse).to.deep.equal({ok: true, id: 'update-nock', rev: '3-ghi'});
+    });
+
+    it('should report a conflict by default', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/update-nock')
+        .reply(200, '{"_id":"update-nock","_rev":"1-abc"}');
+
+      nock('http://localhost:5979')
+        .put('/test-rx-couch-db/update-nock')
+        .reply(409, '{"error":"conflict","reason":"Document update conflict."}');
+
+      const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+      const err = yield nockDb.update({_id: 'update-nock', foo: 'bar'}).shouldThrow();
+      expect(err).to.be.an.instanceof(RxCouch.ConflictError);
+    });
+
+    it('should throw if merge options are invalid', () => {
+      expect(() => db.update({_id: 'x'}, {merge: {arrays: 'zip'}}))
+        .to.throw('rxCouch.db.update: options: merge.arrays must be one of "merge", "replace", "concat", "union"');
+    });
+
+    it('should apply merge options and remove fields set to deleteField', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/update-nock')
+        .reply(200, '{"_id":"update-nock","_rev":"1-abc","tags":["a","b"],"old":true}');
+
+      nock('http://localhost:5979')
+        .put('/test-rx-couch-db/update-nock', '{"tags":["c"]}')
+        .reply(201, '{"ok":true,"id":"update-nock","rev":"2-def"}');
+
+      const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+      const updateResponse = yield nockDb.update({_id: 'update-nock', tags: ['c'], old: RxCouch.deleteField},
+        {merge: {arrays: 'replace'}}).shouldGenerateOneValue();
+      expect(updateResponse.rev).to.equal('2-def');
+    });
+
+    it('should use the db\'s merge options', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/update-nock')
+        .reply(200, '{"_id":"update-nock","_rev":"1-abc","tags":["a"],"old":true}');
+
+      nock('http://localhost:5979')
+        .put('/test-rx-couch-db/update-nock', '{"tags":["b"]}')
+        .reply(201, '{"ok":true,"id":"update-nock","rev":"2-def"}');
+
+      const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db', {merge: {patch: 'mergePatch'}});
+      const updateResponse = yield nockDb.update({_id: 'update-nock', tags: ['b'], old: null})
+        .shouldGenerateOneValue();
+      expect(updateResponse.rev).to.equal('2-def');
+    });
+
+    it('should still detect a noop with merge options', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/update-nock')
+        .reply(200, '{"_id":"update-nock","_rev":"1-abc","tags":["a","b"]}');
+
+      const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+      const updateResponse = yield nockDb.update({_id: 'update-nock', tags: ['b'], gone: RxCouch.deleteField},
+        {merge: {arrays: 'union'}}).shouldGenerateOneValue();
+      expect(updateResponse).to.deep.equal({id: 'update-nock', ok: true, rev: '1-abc', noop: true});
+    });
   });
 
   describe('.replace()', () => {
@@ -476,199 +701,2311 @@ describe('rx-couch.db()', () => {
     });
   });
 
-  describe('.delete()', () => {
-    it('should be defined', () => {
-      expect(db).to.respondTo('delete');
+  describe('.allDocs() (streaming)', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
     });
 
-    it('should throw if no document ID is provided', () => {
-      expect(() => db.delete()).to.throw('rxCouch.db.delete: missing document ID');
+    it('should throw if options.pageSize is invalid', () => {
+      expect(() => db.allDocs({pageSize: 'lots'}))
+        .to.throw('rxCouch.db.allDocs: options.pageSize, if present, must be a positive number');
     });
 
-    it('should throw if an invalid document ID is provided', () => {
-      expect(() => db.delete(42)).to.throw('rxCouch.db.delete: invalid document ID');
+    it('should throw if options.keys is not an array', () => {
+      expect(() => db.allDocs({stream: true, keys: 'a'}))
+        .to.throw('rxCouch.db.allDocs: options.keys, if present, must be an array');
     });
 
-    it('should throw if no revision ID is provided', () => {
-      expect(() => db.delete('testing123')).to.throw('rxCouch.db.delete: missing revision ID');
+    it('should send rows one at a time with JSON-encoded key parameters', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_all_docs')
+        .query({startkey: '["a",1]', endkey: '7', include_docs: 'true'})
+        .reply(200, '{"total_rows":2,"offset":0,"rows":[\r\n' +
+          '{"id":"x","key":["a",1],"value":{"rev":"1-x"},"doc":{"_id":"x"}},\r\n' +
+          '{"id":"y","key":["a",2],"value":{"rev":"1-y"},"doc":{"_id":"y"}}\r\n]}');
+
+      const iter = nockDb.allDocs({stream: true, startkey: ['a', 1], endkey: 7, include_docs: true}).toAsyncIterator();
+
+      expect(yield iter.nextValue()).to.deep.equal({id: 'x', key: ['a', 1], value: {rev: '1-x'}, doc: {_id: 'x'}});
+      expect(yield iter.nextValue()).to.deep.equal({id: 'y', key: ['a', 2], value: {rev: '1-y'}, doc: {_id: 'y'}});
+      yield iter.shouldComplete();
     });
 
-    it('should throw if an invalid revision ID is provided', () => {
-      expect(() => db.delete('testing123', 42)).to.throw('rxCouch.db.delete: invalid revision ID');
+    it('should POST keys rather than putting them in the URL', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_all_docs?include_docs=true', {keys: ['a', 'b']})
+        .reply(200, '{"total_rows":5,"rows":[' +
+          '{"id":"a","key":"a","value":{"rev":"1-a"},"doc":{"_id":"a"}},' +
+          '{"key":"b","error":"not_found"}]}');
+
+      const rows = yield nockDb.allDocs({stream: true, keys: ['a', 'b'], include_docs: true})
+        .toArray()
+        .shouldGenerateOneValue();
+
+      expect(rows).to.deep.equal([
+        {id: 'a', key: 'a', value: {rev: '1-a'}, doc: {_id: 'a'}},
+        {key: 'b', error: 'not_found'}
+      ]);
     });
 
-    it('should fail when _id matches an existing document but incorrect _rev is provided', function * () {
-      const err = yield db.delete('testing123', 'bogus').shouldThrow();
-      expect(err.message).to.equal('HTTP Error 400 on http://127.0.0.1:5984/test-rx-couch-db/testing123: Bad Request');
+    it('should page through the whole range', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_all_docs')
+        .query({startkey: '"a"', limit: '2'})
+        .reply(200, '{"total_rows":5,"offset":0,"rows":[' +
+          '{"id":"a","key":"a","value":{"rev":"1-a"}},{"id":"b","key":"b","value":{"rev":"1-b"}}]}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_all_docs')
+        .query({startkey: '"b"', startkey_docid: 'b', skip: '1', limit: '2'})
+        .reply(200, '{"total_rows":5,"offset":2,"rows":[' +
+          '{"id":"c","key":"c","value":{"rev":"1-c"}},{"id":"d","key":"d","value":{"rev":"1-d"}}]}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_all_docs')
+        .query({startkey: '"d"', startkey_docid: 'd', skip: '1', limit: '2'})
+        .reply(200, '{"total_rows":5,"offset":4,"rows":[{"id":"e","key":"e","value":{"rev":"1-e"}}]}');
+
+      const rows = yield nockDb.allDocs({startkey: 'a', pageSize: 2})
+        .toArray()
+        .shouldGenerateOneValue();
+
+      expect(rows.map(row => row.id)).to.deep.equal(['a', 'b', 'c', 'd', 'e']);
     });
 
-    it('should delete an existing document when correct _id and _rev are provided', function * () {
-      const deleteResponse = yield db.delete('testing123', rev2).shouldGenerateOneValue();
-      expect(deleteResponse).to.be.an('object');
-      expect(deleteResponse.id).to.equal('testing123');
-      expect(deleteResponse.ok).to.equal(true);
-      expect(deleteResponse.rev).to.match(/^3-/);
+    it('should stop paging when the limit is reached', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_all_docs')
+        .query({limit: '2'})
+        .reply(200, '{"total_rows":5,"offset":0,"rows":[' +
+          '{"id":"a","key":"a","value":{"rev":"1-a"}},{"id":"b","key":"b","value":{"rev":"1-b"}}]}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_all_docs')
+        .query({startkey: '"b"', startkey_docid: 'b', skip: '1', limit: '1'})
+        .reply(200, '{"total_rows":5,"offset":2,"rows":[{"id":"c","key":"c","value":{"rev":"1-c"}}]}');
+
+      const rows = yield nockDb.allDocs({pageSize: 2, limit: 3})
+        .toArray()
+        .shouldGenerateOneValue();
+
+      expect(rows.map(row => row.id)).to.deep.equal(['a', 'b', 'c']);
     });
 
-    it('should actually have deleted the existing document', function * () {
-      const err = yield db.get('testing123').shouldThrow();
-      expect(err.message).to.equal('HTTP Error 404 on http://127.0.0.1:5984/test-rx-couch-db/testing123: Object Not Found');
+    it('should page through thousands of pages', function * () {
+      this.timeout(30000);
+
+      const pageCount = 3000;
+      const idAt = n => 'doc' + ('000' + n).slice(-4);
+
+      nock('http://localhost:5979')
+        .get(uri => uri.indexOf('/test-rx-couch-db/_all_docs?') === 0)
+        .times(pageCount + 1)
+        .reply(200, uri => {
+          const startkey = decodeURIComponent((uri.match(/[?&]startkey=([^&]*)/) || [])[1] || '');
+          const next = startkey ? Number(JSON.parse(startkey).slice(3)) + 1 : 0;
+          const rows = next < pageCount ? [{id: idAt(next), key: idAt(next), value: {rev: '1-x'}}] : [];
+          return JSON.stringify({total_rows: pageCount, rows: rows});
+        });
+
+      const rows = yield nockDb.allDocs({pageSize: 1})
+        .toArray()
+        .shouldGenerateOneValue();
+
+      expect(rows.length).to.equal(pageCount);
+      expect(rows[pageCount - 1].id).to.equal(idAt(pageCount - 1));
     });
-  });
 
-  describe('.replicateFrom()', () => {
-    const srcDb = server.db('test-rx-couch-clone-source');
+    it('should apply the limit across pages of keys', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_all_docs?limit=3', {keys: ['a', 'b']})
+        .reply(200, '{"total_rows":5,"rows":[' +
+          '{"id":"a","key":"a","value":{"rev":"1-a"}},{"id":"b","key":"b","value":{"rev":"1-b"}}]}');
 
-    before('create test databases', function * () {
-      yield server.createDatabase('test-rx-couch-clone-source').shouldBeEmpty();
-      yield server.createDatabase('test-rx-couch-clone-target').shouldBeEmpty();
-      let putObject = {_id: 'testing234', foo: 'bar'};
-      yield srcDb.put(putObject).shouldGenerateOneValue();
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_all_docs?limit=1', {keys: ['c', 'd']})
+        .reply(200, '{"total_rows":5,"rows":[{"id":"c","key":"c","value":{"rev":"1-c"}}]}');
+
+      const rows = yield nockDb.allDocs({keys: ['a', 'b', 'c', 'd', 'e'], pageSize: 2, limit: 3})
+        .toArray()
+        .shouldGenerateOneValue();
+
+      expect(rows.map(row => row.id)).to.deep.equal(['a', 'b', 'c']);
+      expect(nock.isDone()).to.equal(true);
     });
 
-    after('destroy test databases', function * () {
-      yield server.deleteDatabase('test-rx-couch-clone-source').shouldBeEmpty();
-      yield server.deleteDatabase('test-rx-couch-clone-target').shouldBeEmpty();
+    it('should split a long keys list into pages', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_all_docs', {keys: ['a', 'b']})
+        .reply(200, '{"total_rows":5,"rows":[' +
+          '{"id":"a","key":"a","value":{"rev":"1-a"}},{"id":"b","key":"b","value":{"rev":"1-b"}}]}');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_all_docs', {keys: ['c']})
+        .reply(200, '{"total_rows":5,"rows":[{"id":"c","key":"c","value":{"rev":"1-c"}}]}');
+
+      const rows = yield nockDb.allDocs({keys: ['a', 'b', 'c'], pageSize: 2})
+        .toArray()
+        .shouldGenerateOneValue();
+
+      expect(rows.map(row => row.id)).to.deep.equal(['a', 'b', 'c']);
     });
+  });
 
-    it('should throw if options is missing', () => {
-      expect(() => srcDb.replicateFrom()).to.throw('rxCouch.db.replicateFrom: options must be an object');
+  describe('.view()', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
     });
 
-    it('should throw if options is not an object', () => {
-      expect(() => srcDb.replicateFrom('blah')).to.throw('rxCouch.db.replicateFrom: options must be an object');
+    it('should be defined', () => {
+      expect(db).to.respondTo('view');
     });
 
-    it('should throw if options contains a "target" entry', () => {
-      expect(() => srcDb.replicateFrom({
-        source: 'test-rx-couch-clone-source',
-        target: 'test-rx-couch-clone-target'
-      })).to.throw('rxCouch.db.replicateFrom: options.target must not be specified');
+    it('should throw if the design document name is missing', () => {
+      expect(() => db.view()).to.throw('rxCouch.db.view: invalid design document name');
     });
 
-    it('should return an Observable with status information', function * () {
-      const replResult = yield srcDb.replicateFrom({
-        source: 'test-rx-couch-clone-source'
-      }).shouldGenerateOneValue();
+    it('should throw if the design document name is only the prefix', () => {
+      expect(() => db.view('_design/', 'x')).to.throw('rxCouch.db.view: invalid design document name');
+    });
 
-      expect(replResult).to.be.an('object');
-      expect(replResult.ok).to.equal(true);
-      expect(replResult.history).to.be.an('array');
+    it('should throw if the view name is missing', () => {
+      expect(() => db.view('app')).to.throw('rxCouch.db.view: invalid view name');
     });
-  });
 
-  describe('.changes()', () => {
     it('should throw if options is not an object', () => {
-      expect(() => db.changes('blah')).to.throw('rxCouch.db.changes: options must be an object');
+      expect(() => db.view('app', 'by_date', 42)).to.throw('rxCouch.db.view: options, if present, must be an object');
     });
 
-    it('should throw if options.feed === "continuous"', () => {
-      expect(() => db.changes({feed: 'continuous'})).to.throw('rxCouch.db.changes: feed: "continuous" not supported');
+    it('should send rows with JSON-encoded key parameters', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_design/app/_view/by_date')
+        .query({startkey: '[2016,1]', endkey: '[2016,{}]', include_docs: 'true', stale: 'ok', limit: '10'})
+        .reply(200, '{"total_rows":10,"offset":2,"rows":[' +
+          '{"id":"x","key":[2016,3],"value":null,"doc":{"_id":"x"}}]}');
+
+      const rows = yield nockDb.view('_design/app', 'by_date', {
+        startkey: [2016, 1],
+        endkey: [2016, {}],
+        include_docs: true,
+        stale: 'ok',
+        limit: 10
+      }).toArray().shouldGenerateOneValue();
+
+      expect(rows).to.deep.equal([{id: 'x', key: [2016, 3], value: null, doc: {_id: 'x'}}]);
     });
 
-    it('should return summary information about all documents with no query options', function * () {
-      const iter = db.changes()
-        .skip(1)
-        .map(result => {
-          result.changes = 'changes suppressed';
-          return result;
-        })
-        .toAsyncIterator();
-        // Previous tests add one document with random ID.
-        // Skip that since it will be hard to match.
+    it('should support reduce with grouping', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_design/app/_view/count')
+        .query({group_level: '1', reduce: 'true'})
+        .reply(200, '{"rows":[{"key":["a"],"value":3},{"key":["b"],"value":4}]}');
 
-      expect(yield iter.nextValue()).to.deep.equal({
-        changes: 'changes suppressed',
-        id: 'testing234',
-        seq: 3
-      });
+      const rows = yield nockDb.view('app', 'count', {group_level: 1, reduce: true})
+        .toArray()
+        .shouldGenerateOneValue();
 
-      expect(yield iter.nextValue()).to.deep.equal({
-        changes: 'changes suppressed',
-        id: 'update-test-2',
-        seq: 6
-      });
+      expect(rows).to.deep.equal([{key: ['a'], value: 3}, {key: ['b'], value: 4}]);
+    });
 
-      expect(yield iter.nextValue()).to.deep.equal({
-        changes: 'changes suppressed',
-        id: 'update-test',
-        seq: 7
-      });
+    it('should POST keys', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_design/app/_view/by_tag?reduce=false', {keys: [['x', 1], 'y']})
+        .reply(200, '{"total_rows":10,"offset":0,"rows":[{"id":"d","key":"y","value":1}]}');
 
-      expect(yield iter.nextValue()).to.deep.equal({
-        changes: 'changes suppressed',
-        id: 'replace-test-2',
-        seq: 9
-      });
+      const rows = yield nockDb.view('app', 'by_tag', {keys: [['x', 1], 'y'], reduce: false})
+        .toArray()
+        .shouldGenerateOneValue();
 
-      expect(yield iter.nextValue()).to.deep.equal({
-        changes: 'changes suppressed',
-        id: 'replace-test',
-        seq: 10
-      });
+      expect(rows).to.deep.equal([{id: 'd', key: 'y', value: 1}]);
+    });
 
-      expect(yield iter.nextValue()).to.deep.equal({
-        changes: 'changes suppressed',
-        deleted: true,
-        id: 'testing123',
-        seq: 11
-      });
+    it('should page through rows with duplicate keys', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_design/app/_view/by_tag')
+        .query({limit: '2'})
+        .reply(200, '{"total_rows":3,"offset":0,"rows":[' +
+          '{"id":"a","key":"t","value":1},{"id":"b","key":"t","value":1}]}');
 
-      yield iter.shouldComplete();
-    });
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_design/app/_view/by_tag')
+        .query({startkey: '"t"', startkey_docid: 'b', skip: '1', limit: '2'})
+        .reply(200, '{"total_rows":3,"offset":2,"rows":[{"id":"c","key":"t","value":1}]}');
 
-    it('should return full document values for some documents with appropriate query parameters', function * () {
-      const iter = db.changes({
-        doc_ids: ['testing123', 'testing234'],
-        filter: '_doc_ids',
-        include_docs: true
-      })
-        .map(result => {
-          result.changes = 'changes suppressed';
-          result.doc._rev = 'rev ID suppressed';
-          return result;
-        })
-        .toAsyncIterator();
+      const rows = yield nockDb.view('app', 'by_tag', {pageSize: 2})
+        .toArray()
+        .shouldGenerateOneValue();
 
-      expect(yield iter.nextValue()).to.deep.equal({
-        changes: 'changes suppressed',
-        doc: {
-          _id: 'testing234',
-          _rev: 'rev ID suppressed',
-          foo: 'bar'
-        },
-        id: 'testing234',
-        seq: 3
-      });
+      expect(rows.map(row => row.id)).to.deep.equal(['a', 'b', 'c']);
+    });
 
-      expect(yield iter.nextValue()).to.deep.equal({
-        changes: 'changes suppressed',
-        deleted: true,
-        doc: {
-          _deleted: true,
-          _id: 'testing123',
-          _rev: 'rev ID suppressed'
-        },
-        id: 'testing123',
-        seq: 11
-      });
+    it('should send an onError message if the view does not exist', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_design/app/_view/nope')
+        .reply(404, '{"error":"not_found","reason":"missing_named_view"}');
 
-      yield iter.shouldComplete();
+      const err = yield nockDb.view('app', 'nope').shouldThrow();
+      expect(err).to.be.an.instanceof(RxCouch.NotFoundError);
+      expect(err.reason).to.equal('missing_named_view');
     });
+  });
 
-    it('should continuously monitor the database if feed: longpoll is used', function * () {
-      const iter = db.changes({
-        doc_ids: ['testing234'],
-        feed: 'longpoll',
-        filter: '_doc_ids',
-        include_docs: true
-      })
-        .map(result => {
-          result.changes = 'changes suppressed';
-          result.doc._rev = 'rev ID suppressed';
-          return result;
-        })
-        .toAsyncIterator();
+  describe('.deployDesignDoc()', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    const definition = {
+      views: {
+        by_type: {
+          map (doc) { emit(doc.type, 1); },
+          reduce: '_count'
+        }
+      },
+      validate_doc_update: "function (newDoc) { if (!newDoc.type) throw ({forbidden: 'type required'}); }"
+    };
+
+    const serialized = {
+      views: {
+        by_type: {
+          map: 'function (doc) { emit(doc.type, 1); }',
+          reduce: '_count'
+        }
+      },
+      validate_doc_update: "function (newDoc) { if (!newDoc.type) throw ({forbidden: 'type required'}); }",
+      language: 'javascript'
+    };
+
+    const staged = {
+      language: 'javascript',
+      views: serialized.views
+    };
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should be defined', () => {
+      expect(db).to.respondTo('deployDesignDoc');
+    });
+
+    it('should throw if arguments are invalid', () => {
+      expect(() => db.deployDesignDoc()).to.throw('rxCouch.db.deployDesignDoc: invalid design document name');
+      expect(() => db.deployDesignDoc('app')).to.throw('rxCouch.db.deployDesignDoc: definition must be an object');
+      expect(() => db.deployDesignDoc('app', {}, 42))
+        .to.throw('rxCouch.db.deployDesignDoc: options, if present, must be an object');
+    });
+
+    it('should serialize functions and write the design document', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_design/app')
+        .reply(404, '{"error":"not_found","reason":"missing"}');
+
+      nock('http://localhost:5979')
+        .put('/test-rx-couch-db/_design/app', serialized)
+        .reply(201, '{"ok":true,"id":"_design/app","rev":"1-a"}');
+
+      const result = yield nockDb.deployDesignDoc('app', definition).shouldGenerateOneValue();
+      expect(result).to.deep.equal({ok: true, id: '_design/app', rev: '1-a'});
+    });
+
+    it('should not write an unchanged design document', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_design/app')
+        .reply(200, JSON.stringify(Object.assign({_id: '_design/app', _rev: '1-a'}, serialized)));
+
+      const result = yield nockDb.deployDesignDoc('_design/app', definition, {warm: true}).shouldGenerateOneValue();
+      expect(result).to.deep.equal({id: '_design/app', ok: true, rev: '1-a', noop: true});
+    });
+
+    it('should build changed views in a staging design document first', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_design/app')
+        .reply(200, '{"_id":"_design/app","_rev":"1-a","views":{}}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_design/app_staging')
+        .reply(404, '{"error":"not_found","reason":"deleted"}');
+
+      nock('http://localhost:5979')
+        .put('/test-rx-couch-db/_design/app_staging', staged)
+        .reply(201, '{"ok":true,"id":"_design/app_staging","rev":"1-s"}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_design/app_staging/_view/by_type?limit=0')
+        .reply(200, '{"rows":[]}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_design/app')
+        .reply(200, '{"_id":"_design/app","_rev":"1-a","views":{}}');
+
+      nock('http://localhost:5979', {reqheaders: {'If-Match': '1-a'}})
+        .put('/test-rx-couch-db/_design/app', serialized)
+        .reply(201, '{"ok":true,"id":"_design/app","rev":"2-b"}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_design/app_staging')
+        .reply(200, '{"_id":"_design/app_staging","_rev":"1-s"}');
+
+      nock('http://localhost:5979', {reqheaders: {'If-Match': '1-s'}})
+        .delete('/test-rx-couch-db/_design/app_staging')
+        .reply(200, '{"ok":true,"id":"_design/app_staging","rev":"2-s"}');
+
+      const result = yield nockDb.deployDesignDoc('app', definition, {warm: true}).shouldGenerateOneValue();
+      expect(result).to.deep.equal({ok: true, id: '_design/app', rev: '2-b'});
+      expect(nock.isDone()).to.equal(true);
+    });
+
+    it('should write only the view definitions to the staging design document', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_design/app')
+        .reply(404, '{"error":"not_found","reason":"missing"}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_design/app_staging')
+        .reply(404, '{"error":"not_found","reason":"deleted"}');
+
+      let stagingBody;
+      nock('http://localhost:5979')
+        .put('/test-rx-couch-db/_design/app_staging')
+        .reply(201, (uri, body) => {
+          stagingBody = body;
+          return '{"ok":true,"id":"_design/app_staging","rev":"1-s"}';
+        });
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_design/app_staging/_view/by_type?limit=0')
+        .reply(500, '{"error":"unknown_error","reason":"view build failed"}');
+
+      const options = {foo: 'bar'};
+      yield nockDb.deployDesignDoc('app', Object.assign({options: options}, definition), {warm: true})
+        .shouldThrow();
+
+      expect(stagingBody).to.deep.equal(Object.assign({options: options}, staged));
+      expect(stagingBody).to.not.have.property('validate_doc_update');
+    });
+  });
+
+  describe('.find()', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should be defined', () => {
+      expect(db).to.respondTo('find');
+    });
+
+    it('should throw if the selector is not an object', () => {
+      expect(() => db.find()).to.throw('rxCouch.db.find: selector must be an object');
+      expect(() => db.find([])).to.throw('rxCouch.db.find: selector must be an object');
+    });
+
+    it('should throw if options is not an object', () => {
+      expect(() => db.find({}, 42)).to.throw('rxCouch.db.find: options, if present, must be an object');
+    });
+
+    it('should send matching documents', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_find', {
+          selector: {type: 'user'},
+          fields: ['_id', 'name'],
+          sort: [{name: 'asc'}],
+          limit: 2,
+          use_index: 'by-name'
+        })
+        .reply(200, '{"docs":[{"_id":"a","name":"Ann"},{"_id":"b","name":"Bob"}],"bookmark":"g1"}');
+
+      const docs = yield nockDb.find({type: 'user'}, {
+        fields: ['_id', 'name'],
+        sort: [{name: 'asc'}],
+        limit: 2,
+        use_index: 'by-name'
+      }).toArray().shouldGenerateOneValue();
+
+      expect(docs).to.deep.equal([{_id: 'a', name: 'Ann'}, {_id: 'b', name: 'Bob'}]);
+    });
+
+    it('should follow bookmarks if allPages is set', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_find', {selector: {type: 'user'}, limit: 2})
+        .reply(200, '{"docs":[{"_id":"a"},{"_id":"b"}],"bookmark":"g1"}');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_find', {selector: {type: 'user'}, limit: 2, bookmark: 'g1'})
+        .reply(200, '{"docs":[{"_id":"c"}],"bookmark":"g2"}');
+
+      const docs = yield nockDb.find({type: 'user'}, {limit: 2, allPages: true})
+        .toArray()
+        .shouldGenerateOneValue();
+
+      expect(docs.map(doc => doc._id)).to.deep.equal(['a', 'b', 'c']);
+    });
+
+    it('should stop following bookmarks at an empty page', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_find', {selector: {type: 'user'}})
+        .reply(200, '{"docs":[{"_id":"a"}],"bookmark":"g1"}');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_find', {selector: {type: 'user'}, bookmark: 'g1'})
+        .reply(200, '{"docs":[],"bookmark":"nil"}');
+
+      const docs = yield nockDb.find({type: 'user'}, {allPages: true})
+        .toArray()
+        .shouldGenerateOneValue();
+
+      expect(docs.map(doc => doc._id)).to.deep.equal(['a']);
+    });
+
+    it('should follow thousands of bookmarks', function * () {
+      this.timeout(30000);
+
+      const pageCount = 3000;
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_find')
+        .times(pageCount + 1)
+        .reply(200, (uri, body) => {
+          const page = body.bookmark ? Number(body.bookmark) : 0;
+          const docs = page < pageCount ? [{_id: 'doc' + page}] : [];
+          return JSON.stringify({docs: docs, bookmark: String(page + 1)});
+        });
+
+      const docs = yield nockDb.find({type: 'user'}, {allPages: true})
+        .toArray()
+        .shouldGenerateOneValue();
+
+      expect(docs.length).to.equal(pageCount);
+      expect(docs[pageCount - 1]._id).to.equal('doc' + (pageCount - 1));
+    });
+
+    it('should send an onError message for an invalid query', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_find')
+        .reply(400, '{"error":"no_usable_index","reason":"No index exists for this sort"}');
+
+      const err = yield nockDb.find({type: 'user'}, {sort: ['name']}).shouldThrow();
+      expect(err.status).to.equal(400);
+      expect(err.error).to.equal('no_usable_index');
+    });
+  });
+
+  describe('.explain()', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should throw if the selector is not an object', () => {
+      expect(() => db.explain('x')).to.throw('rxCouch.db.explain: selector must be an object');
+    });
+
+    it('should return the query plan', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_explain', {selector: {type: 'user'}, limit: 5})
+        .reply(200, '{"dbname":"test-rx-couch-db","index":{"ddoc":null,"name":"_all_docs"},"limit":5}');
+
+      const plan = yield nockDb.explain({type: 'user'}, {limit: 5}).shouldGenerateOneValue();
+      expect(plan.index.name).to.equal('_all_docs');
+    });
+  });
+
+  describe('Mango indexes', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('.createIndex() should throw if the index definition is missing', () => {
+      expect(() => db.createIndex()).to.throw('rxCouch.db.createIndex: invalid index definition');
+      expect(() => db.createIndex({name: 'x'})).to.throw('rxCouch.db.createIndex: invalid index definition');
+    });
+
+    it('.createIndex() should create an index', function * () {
+      const index = {index: {fields: ['type', 'name']}, ddoc: 'by-name', name: 'by-name'};
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_index', index)
+        .reply(200, '{"result":"exists","id":"_design/by-name","name":"by-name"}');
+
+      const result = yield nockDb.createIndex(index).shouldGenerateOneValue();
+      expect(result).to.deep.equal({result: 'exists', id: '_design/by-name', name: 'by-name'});
+    });
+
+    it('.getIndexes() should list indexes', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_index')
+        .reply(200, '{"total_rows":1,"indexes":[{"ddoc":null,"name":"_all_docs","type":"special",' +
+          '"def":{"fields":[{"_id":"asc"}]}}]}');
+
+      const indexes = yield nockDb.getIndexes().shouldGenerateOneValue();
+      expect(indexes.map(index => index.name)).to.deep.equal(['_all_docs']);
+    });
+
+    it('.deleteIndex() should throw if arguments are missing', () => {
+      expect(() => db.deleteIndex()).to.throw('rxCouch.db.deleteIndex: invalid design document name');
+      expect(() => db.deleteIndex('by-name')).to.throw('rxCouch.db.deleteIndex: invalid index name');
+    });
+
+    it('.deleteIndex() should delete an index', function * () {
+      nock('http://localhost:5979')
+        .delete('/test-rx-couch-db/_index/by-name/json/by-name')
+        .reply(200, '{"ok":true}');
+
+      const result = yield nockDb.deleteIndex('_design/by-name', 'by-name').shouldGenerateOneValue();
+      expect(result).to.deep.equal({ok: true});
+    });
+  });
+
+  describe('attachments', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+    const Readable = require('stream').Readable;
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('.putAttachment() should throw if arguments are invalid', () => {
+      expect(() => db.putAttachment()).to.throw('rxCouch.db.putAttachment: invalid document ID');
+      expect(() => db.putAttachment('doc', 42)).to.throw('rxCouch.db.putAttachment: invalid revision ID');
+      expect(() => db.putAttachment('doc', '1-a')).to.throw('rxCouch.db.putAttachment: invalid attachment name');
+      expect(() => db.putAttachment('doc', '1-a', 'a.png', 42))
+        .to.throw('rxCouch.db.putAttachment: data must be a Buffer, a string, or a stream');
+      expect(() => db.putAttachment('doc', '1-a', 'a.png', Buffer.from('x')))
+        .to.throw('rxCouch.db.putAttachment: invalid content type');
+    });
+
+    it('.putAttachment() should upload a Buffer', function * () {
+      nock('http://localhost:5979', {reqheaders: {'Content-Type': 'image/png', 'If-Match': '1-a'}})
+        .put('/test-rx-couch-db/doc/a%2Fb.png', body => body === '\u0001\u0002png')
+        .reply(201, '{"ok":true,"id":"doc","rev":"2-b"}');
+
+      const result = yield nockDb.putAttachment('doc', '1-a', 'a/b.png', Buffer.from('\u0001\u0002png'), 'image/png')
+        .shouldGenerateOneValue();
+      expect(result).to.deep.equal({ok: true, id: 'doc', rev: '2-b'});
+    });
+
+    it('.putAttachment() should create a document if no revision is given', function * () {
+      nock('http://localhost:5979', {badheaders: ['If-Match']})
+        .put('/test-rx-couch-db/doc/notes.txt', 'hello')
+        .reply(201, '{"ok":true,"id":"doc","rev":"1-a"}');
+
+      const result = yield nockDb.putAttachment('doc', null, 'notes.txt', 'hello', 'text/plain')
+        .shouldGenerateOneValue();
+      expect(result.rev).to.equal('1-a');
+    });
+
+    it('.putAttachment() should upload a stream', function * () {
+      nock('http://localhost:5979')
+        .put('/test-rx-couch-db/doc/notes.txt', 'hello, world')
+        .reply(201, '{"ok":true,"id":"doc","rev":"2-b"}');
+
+      let data = new Readable({read: () => {}});
+      data.push('hello, ');
+      data.push('world');
+      data.push(null);
+
+      const result = yield nockDb.putAttachment('doc', '1-a', 'notes.txt', data, 'text/plain')
+        .shouldGenerateOneValue();
+      expect(result.rev).to.equal('2-b');
+    });
+
+    it('.getAttachment() should throw if arguments are invalid', () => {
+      expect(() => db.getAttachment()).to.throw('rxCouch.db.getAttachment: invalid document ID');
+      expect(() => db.getAttachment('doc')).to.throw('rxCouch.db.getAttachment: invalid attachment name');
+      expect(() => db.getAttachment('doc', 'a.png', 42))
+        .to.throw('rxCouch.db.getAttachment: options, if present, must be an object');
+    });
+
+    it('.getAttachment() should download a Buffer', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc/a.bin?rev=1-a')
+        .reply(200, Buffer.from([0, 1, 254, 255]), {'Content-Type': 'application/octet-stream'});
+
+      const data = yield nockDb.getAttachment('doc', 'a.bin', {rev: '1-a'}).shouldGenerateOneValue();
+      expect(Buffer.isBuffer(data)).to.equal(true);
+      expect(Array.from(data)).to.deep.equal([0, 1, 254, 255]);
+    });
+
+    it('.getAttachment() should download a stream', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc/a.bin')
+        .reply(200, Buffer.from([0, 1, 254, 255]), {'Content-Type': 'application/octet-stream'});
+
+      const body = yield nockDb.getAttachment('doc', 'a.bin', {stream: true}).shouldGenerateOneValue();
+      expect(body).to.respondTo('pipe');
+
+      const data = yield new Promise((resolve, reject) => {
+        let chunks = [];
+        body.on('data', chunk => chunks.push(chunk));
+        body.on('end', () => resolve(Buffer.concat(chunks)));
+        body.on('error', reject);
+      });
+      expect(Array.from(data)).to.deep.equal([0, 1, 254, 255]);
+    });
+
+    it('.getAttachment() should send an onError message if the attachment does not exist', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc/nope')
+        .reply(404, '{"error":"not_found","reason":"Document is missing attachment"}');
+
+      const err = yield nockDb.getAttachment('doc', 'nope').shouldThrow();
+      expect(err).to.be.an.instanceof(RxCouch.NotFoundError);
+    });
+
+    it('.deleteAttachment() should throw if arguments are invalid', () => {
+      expect(() => db.deleteAttachment()).to.throw('rxCouch.db.deleteAttachment: invalid document ID');
+      expect(() => db.deleteAttachment('doc')).to.throw('rxCouch.db.deleteAttachment: invalid revision ID');
+      expect(() => db.deleteAttachment('doc', '1-a')).to.throw('rxCouch.db.deleteAttachment: invalid attachment name');
+    });
+
+    it('.deleteAttachment() should delete an attachment', function * () {
+      nock('http://localhost:5979', {reqheaders: {'If-Match': '2-b'}})
+        .delete('/test-rx-couch-db/doc/a.bin')
+        .reply(200, '{"ok":true,"id":"doc","rev":"3-c"}');
+
+      const result = yield nockDb.deleteAttachment('doc', '2-b', 'a.bin').shouldGenerateOneValue();
+      expect(result.rev).to.equal('3-c');
+    });
+
+    it('.get() should decode a multipart/related document', function * () {
+      const body = '--abc\r\n' +
+        'Content-Type: application/json\r\n\r\n' +
+        '{"_id":"doc","_rev":"2-b","_attachments":{"a.bin":{"content_type":"application/octet-stream",' +
+        '"length":3,"follows":true}}}\r\n' +
+        '--abc\r\n' +
+        'Content-Disposition: attachment; filename="a.bin"\r\n\r\n' +
+        '\u0000\u0001\u0002\r\n' +
+        '--abc--';
+
+      nock('http://localhost:5979', {reqheaders: {Accept: 'multipart/related'}})
+        .get('/test-rx-couch-db/doc?attachments=true')
+        .reply(200, body, {'Content-Type': 'multipart/related; boundary="abc"'});
+
+      const doc = yield nockDb.get('doc', {multipart: true}).shouldGenerateOneValue();
+      expect(doc._id).to.equal('doc');
+      expect(doc._attachments['a.bin'].follows).to.equal(undefined);
+      expect(Array.from(doc._attachments['a.bin'].data)).to.deep.equal([0, 1, 2]);
+    });
+
+    it('.get() should accept a JSON reply to a multipart request', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc?attachments=true')
+        .reply(200, '{"_id":"doc","_rev":"1-a"}', {'Content-Type': 'application/json'});
+
+      const doc = yield nockDb.get('doc', {multipart: true}).shouldGenerateOneValue();
+      expect(doc).to.deep.equal({_id: 'doc', _rev: '1-a'});
+    });
+  });
+
+  describe('document ID encoding', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should escape reserved characters in document IDs', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/a%2Fb%3Fc%23d%2Be%20f')
+        .reply(200, '{"_id":"a/b?c#d+e f","_rev":"1-a"}');
+
+      const doc = yield nockDb.get('a/b?c#d+e f').shouldGenerateOneValue();
+      expect(doc._id).to.equal('a/b?c#d+e f');
+    });
+
+    it('should keep the slash after a _design/ prefix', function * () {
+      nock('http://localhost:5979')
+        .put('/test-rx-couch-db/_design/my%20app', '{"views":{}}')
+        .reply(201, '{"ok":true,"id":"_design/my app","rev":"1-a"}');
+
+      const result = yield nockDb.put({_id: '_design/my app', views: {}}).shouldGenerateOneValue();
+      expect(result.rev).to.equal('1-a');
+    });
+
+    it('should escape IDs that merely look like prefixes', function * () {
+      nock('http://localhost:5979', {reqheaders: {'If-Match': '1-a'}})
+        .delete('/test-rx-couch-db/_designer%2Fx')
+        .reply(200, '{"ok":true,"id":"_designer/x","rev":"2-b"}');
+
+      const result = yield nockDb.delete('_designer/x', '1-a').shouldGenerateOneValue();
+      expect(result.rev).to.equal('2-b');
+    });
+
+    it('should escape document IDs in attachment URLs', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/a%2Fb/c%2Fd.txt')
+        .reply(200, 'hello');
+
+      const data = yield nockDb.getAttachment('a/b', 'c/d.txt').shouldGenerateOneValue();
+      expect(data.toString()).to.equal('hello');
+    });
+
+    it('.observe() should throw for a _local document', () => {
+      expect(() => db.observe('_local/x'))
+        .to.throw('rxCouch.db.observe: _local documents do not appear in the changes feed');
+    });
+  });
+
+  describe('local documents', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('.getLocal() should throw if the ID is invalid', () => {
+      expect(() => db.getLocal()).to.throw('rxCouch.db.getLocal: invalid document ID');
+      expect(() => db.getLocal('_local/')).to.throw('rxCouch.db.getLocal: invalid document ID');
+    });
+
+    it('.getLocal() should add the _local/ prefix', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_local/check%2Fpoint')
+        .reply(200, '{"_id":"_local/check/point","_rev":"0-1","seq":42}');
+
+      const doc = yield nockDb.getLocal('check/point').shouldGenerateOneValue();
+      expect(doc.seq).to.equal(42);
+    });
+
+    it('.getLocal() should accept an ID with the prefix', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_local/checkpoint')
+        .reply(200, '{"_id":"_local/checkpoint","_rev":"0-1"}');
+
+      const doc = yield nockDb.getLocal('_local/checkpoint').shouldGenerateOneValue();
+      expect(doc._rev).to.equal('0-1');
+    });
+
+    it('.putLocal() should throw if the value is invalid', () => {
+      expect(() => db.putLocal()).to.throw('rxCouch.db.putLocal: invalid document value');
+      expect(() => db.putLocal({seq: 1})).to.throw('rxCouch.db.putLocal: invalid document ID');
+    });
+
+    it('.putLocal() should send the revision in the body', function * () {
+      nock('http://localhost:5979', {badheaders: ['If-Match']})
+        .put('/test-rx-couch-db/_local/checkpoint', '{"_rev":"0-1","seq":43}')
+        .reply(201, '{"ok":true,"id":"_local/checkpoint","rev":"0-2"}');
+
+      const result = yield nockDb.putLocal({_id: 'checkpoint', _rev: '0-1', seq: 43}).shouldGenerateOneValue();
+      expect(result).to.deep.equal({ok: true, id: '_local/checkpoint', rev: '0-2'});
+    });
+  });
+
+  describe('revision history', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('.revisions() should throw if the document ID is missing', () => {
+      expect(() => db.revisions()).to.throw('rxCouch.db.revisions: missing document ID');
+      expect(() => db.revisions(42)).to.throw('rxCouch.db.revisions: invalid document ID');
+    });
+
+    it('.revisions() should send each revision with its body where available', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc?revs_info=true')
+        .reply(200, JSON.stringify({
+          _id: 'doc',
+          _rev: '3-c',
+          _revs_info: [
+            {rev: '3-c', status: 'available'},
+            {rev: '2-b', status: 'available'},
+            {rev: '1-a', status: 'missing'}
+          ]
+        }));
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc')
+        .query({open_revs: '["3-c","2-b"]'})
+        .reply(200, '[{"ok":{"_id":"doc","_rev":"3-c","v":3}},{"ok":{"_id":"doc","_rev":"2-b","v":2}}]');
+
+      const revisions = yield nockDb.revisions('doc').toArray().shouldGenerateOneValue();
+      expect(revisions).to.deep.equal([
+        {rev: '3-c', status: 'available', doc: {_id: 'doc', _rev: '3-c', v: 3}},
+        {rev: '2-b', status: 'available', doc: {_id: 'doc', _rev: '2-b', v: 2}},
+        {rev: '1-a', status: 'missing'}
+      ]);
+    });
+
+    it('.diff() should throw if arguments are invalid', () => {
+      expect(() => db.diff()).to.throw('rxCouch.db.diff: missing document ID');
+      expect(() => db.diff('doc', '1-a')).to.throw('rxCouch.db.diff: invalid revision ID');
+    });
+
+    it('.diff() should compare two revisions', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc?rev=1-a')
+        .reply(200, '{"_id":"doc","_rev":"1-a","status":"new","tags":["x"]}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc?rev=2-b')
+        .reply(200, '{"_id":"doc","_rev":"2-b","status":"done","tags":["x"],"by":"ann"}');
+
+      const result = yield nockDb.diff('doc', '1-a', '2-b').shouldGenerateOneValue();
+      expect(result).to.deep.equal({
+        id: 'doc',
+        from: '1-a',
+        to: '2-b',
+        changes: [
+          {path: ['status'], kind: 'changed', oldValue: 'new', newValue: 'done'},
+          {path: ['by'], kind: 'added', newValue: 'ann'}
+        ]
+      });
+    });
+
+    it('.diff() should send an onError message if a revision is unavailable', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc?rev=1-a')
+        .reply(404, '{"error":"not_found","reason":"missing"}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc?rev=2-b')
+        .reply(200, '{"_id":"doc","_rev":"2-b"}');
+
+      const err = yield nockDb.diff('doc', '1-a', '2-b').shouldThrow();
+      expect(err).to.be.an.instanceof(RxCouch.NotFoundError);
+    });
+  });
+
+  describe('conflicts', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('.conflicts() should throw if the document ID is missing', () => {
+      expect(() => db.conflicts()).to.throw('rxCouch.db.conflicts: missing document ID');
+      expect(() => db.conflicts(42)).to.throw('rxCouch.db.conflicts: invalid document ID');
+    });
+
+    it('.conflicts() should fetch the winner and losing revisions', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc?conflicts=true')
+        .reply(200, '{"_id":"doc","_rev":"2-b","foo":"win","_conflicts":["2-a","2-c"]}');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_get', {docs: [{id: 'doc', rev: '2-a'}, {id: 'doc', rev: '2-c'}]})
+        .reply(200, JSON.stringify({results: [
+          {id: 'doc', docs: [{ok: {_id: 'doc', _rev: '2-a', foo: 'lose'}}]},
+          {id: 'doc', docs: [{error: {id: 'doc', rev: '2-c', error: 'not_found', reason: 'missing'}}]}
+        ]}));
+
+      const found = yield nockDb.conflicts('doc').shouldGenerateOneValue();
+      expect(found.winner.foo).to.equal('win');
+      expect(found.conflicts).to.deep.equal(['2-a', '2-c']);
+      expect(found.losers).to.deep.equal([{_id: 'doc', _rev: '2-a', foo: 'lose'}]);
+    });
+
+    it('.conflicts() should report no conflicts', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc?conflicts=true')
+        .reply(200, '{"_id":"doc","_rev":"1-a"}');
+
+      const found = yield nockDb.conflicts('doc').shouldGenerateOneValue();
+      expect(found).to.deep.equal({winner: {_id: 'doc', _rev: '1-a'}, conflicts: [], losers: []});
+    });
+
+    it('.resolveConflicts() should throw if arguments are invalid', () => {
+      expect(() => db.resolveConflicts()).to.throw('rxCouch.db.resolveConflicts: missing document ID');
+      expect(() => db.resolveConflicts('doc')).to.throw('rxCouch.db.resolveConflicts: mergeFn must be a function');
+    });
+
+    it('.resolveConflicts() should write the merged winner and delete the losers', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc?conflicts=true')
+        .reply(200, '{"_id":"doc","_rev":"2-b","tags":["x"],"_conflicts":["2-a"]}');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_get')
+        .reply(200, '{"results":[{"id":"doc","docs":[{"ok":{"_id":"doc","_rev":"2-a","tags":["y"]}}]}]}');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_docs', {docs: [
+          {tags: ['x', 'y'], _id: 'doc', _rev: '2-b'},
+          {_id: 'doc', _rev: '2-a', _deleted: true}
+        ]})
+        .reply(201, '[{"ok":true,"id":"doc","rev":"3-d"},{"ok":true,"id":"doc","rev":"3-e"}]');
+
+      const results = yield nockDb.resolveConflicts('doc', (winner, losers) => {
+        expect(winner._conflicts).to.equal(undefined);
+        winner.tags = winner.tags.concat(losers[0].tags);
+        return winner;
+      }).toArray().shouldGenerateOneValue();
+
+      expect(results.map(result => result.rev)).to.deep.equal(['3-d', '3-e']);
+    });
+
+    it('.resolveConflicts() should only delete the losers if the winner is unchanged', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc?conflicts=true')
+        .reply(200, '{"_id":"doc","_rev":"2-b","_conflicts":["2-a"]}');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_get')
+        .reply(200, '{"results":[{"id":"doc","docs":[{"ok":{"_id":"doc","_rev":"2-a"}}]}]}');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_docs', {docs: [{_id: 'doc', _rev: '2-a', _deleted: true}]})
+        .reply(201, '[{"ok":true,"id":"doc","rev":"3-e"}]');
+
+      const results = yield nockDb.resolveConflicts('doc', winner => winner)
+        .toArray()
+        .shouldGenerateOneValue();
+
+      expect(results).to.deep.equal([{ok: true, id: 'doc', rev: '3-e'}]);
+    });
+
+    it('.resolveConflicts() should do nothing if there are no conflicts', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc?conflicts=true')
+        .reply(200, '{"_id":"doc","_rev":"1-a"}');
+
+      yield nockDb.resolveConflicts('doc', () => {
+        throw new Error('should not be called');
+      }).shouldBeEmpty();
+    });
+
+    it('.observeConflicts() should throw if options is not an object', () => {
+      expect(() => db.observeConflicts(42))
+        .to.throw('rxCouch.db.observeConflicts: options, if present, must be an object');
+    });
+
+    it('.observeConflicts() should report conflicted documents', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query({feed: 'longpoll', since: '0', style: 'all_docs', include_docs: 'true', conflicts: 'true'})
+        .reply(200, JSON.stringify({
+          results: [
+            {seq: 1, id: 'a', changes: [{rev: '1-a'}], doc: {_id: 'a', _rev: '1-a'}},
+            {seq: 2, id: 'b', changes: [{rev: '2-b'}, {rev: '2-c'}], doc: {_id: 'b', _rev: '2-c', _conflicts: ['2-b']}},
+            {seq: 3, id: 'c', changes: [{rev: '3-a'}, {rev: '2-d'}], doc: {_id: 'c', _rev: '3-a'}}
+          ],
+          last_seq: 3
+        }));
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query(true)
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":3}');
+
+      const iter = nockDb.observeConflicts({since: 0}).toAsyncIterator();
+      expect(yield iter.nextValue()).to.deep.equal({
+        id: 'b',
+        rev: '2-c',
+        conflicts: ['2-b'],
+        doc: {_id: 'b', _rev: '2-c', _conflicts: ['2-b']}
+      });
+      iter.unsubscribe();
+    });
+  });
+
+  describe('.bulkDocs()', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should be defined', () => {
+      expect(db).to.respondTo('bulkDocs');
+    });
+
+    it('should throw if docs is not an array', () => {
+      expect(() => db.bulkDocs({})).to.throw('rxCouch.db.bulkDocs: docs must be an array');
+    });
+
+    it('should throw if any document is invalid', () => {
+      expect(() => db.bulkDocs([{}, 42])).to.throw('rxCouch.db.bulkDocs: invalid document value');
+    });
+
+    it('should throw if options is not an object', () => {
+      expect(() => db.bulkDocs([], 42)).to.throw('rxCouch.db.bulkDocs: options, if present, must be an object');
+    });
+
+    it('should throw if options.chunkSize is invalid', () => {
+      expect(() => db.bulkDocs([], {chunkSize: 'big'}))
+        .to.throw('rxCouch.db.bulkDocs: options.chunkSize, if present, must be a positive number');
+    });
+
+    it('should send one result per document, including per-document errors', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_docs', {docs: [{_id: 'a', foo: 1}, {_id: 'b', _rev: '1-x', foo: 2}]})
+        .reply(201, '[{"ok":true,"id":"a","rev":"1-abc"},{"id":"b","error":"conflict","reason":"Document update conflict."}]');
+
+      const iter = nockDb.bulkDocs([{_id: 'a', foo: 1}, {_id: 'b', _rev: '1-x', foo: 2}]).toAsyncIterator();
+
+      expect(yield iter.nextValue()).to.deep.equal({ok: true, id: 'a', rev: '1-abc'});
+      expect(yield iter.nextValue()).to.deep.equal({id: 'b', error: 'conflict', reason: 'Document update conflict.'});
+      yield iter.shouldComplete();
+    });
+
+    it('should pass new_edits and all_or_nothing through to CouchDB', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_docs', {docs: [{_id: 'a', _rev: '7-x'}], new_edits: false, all_or_nothing: true})
+        .reply(201, '[]');
+
+      yield nockDb.bulkDocs([{_id: 'a', _rev: '7-x'}], {new_edits: false, all_or_nothing: true}).shouldBeEmpty();
+    });
+
+    it('should split large arrays into chunks', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_docs', {docs: [{_id: 'a'}, {_id: 'b'}]})
+        .reply(201, '[{"ok":true,"id":"a","rev":"1-a"},{"ok":true,"id":"b","rev":"1-b"}]');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_docs', {docs: [{_id: 'c'}]})
+        .reply(201, '[{"ok":true,"id":"c","rev":"1-c"}]');
+
+      const results = yield nockDb.bulkDocs([{_id: 'a'}, {_id: 'b'}, {_id: 'c'}], {chunkSize: 2})
+        .toArray()
+        .shouldGenerateOneValue();
+
+      expect(results.map(result => result.id)).to.deep.equal(['a', 'b', 'c']);
+    });
+
+    it('should send an onError message if a request fails', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_docs')
+        .reply(400, '{"error":"bad_request","reason":"Missing JSON list of \'docs\'"}');
+
+      const err = yield nockDb.bulkDocs([{_id: 'a'}]).shouldThrow();
+      expect(err.status).to.equal(400);
+      expect(err.error).to.equal('bad_request');
+    });
+  });
+
+  describe('.putMany()', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should be defined', () => {
+      expect(db).to.respondTo('putMany');
+    });
+
+    it('should throw if docs is not an array', () => {
+      expect(() => db.putMany()).to.throw('rxCouch.db.putMany: docs must be an array');
+    });
+
+    it('should throw if a document value is missing', () => {
+      expect(() => db.putMany([null])).to.throw('rxCouch.db.putMany: missing document value');
+    });
+
+    it('should throw if a document value is invalid', () => {
+      expect(() => db.putMany([42])).to.throw('rxCouch.db.putMany: invalid document value');
+    });
+
+    it('should create and update documents without altering the objects provided', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_docs', {docs: [{foo: 'bar'}, {_id: 'b', _rev: '1-x', foo: 'baz'}]})
+        .reply(201, '[{"ok":true,"id":"random","rev":"1-abc"},{"ok":true,"id":"b","rev":"2-def"}]');
+
+      const docs = [{_id: '', _rev: '', foo: 'bar'}, {_id: 'b', _rev: '1-x', foo: 'baz'}];
+      const results = yield nockDb.putMany(docs).toArray().shouldGenerateOneValue();
+
+      expect(results).to.deep.equal([
+        {ok: true, id: 'random', rev: '1-abc'},
+        {ok: true, id: 'b', rev: '2-def'}
+      ]);
+      expect(docs).to.deep.equal([{_id: '', _rev: '', foo: 'bar'}, {_id: 'b', _rev: '1-x', foo: 'baz'}]);
+    });
+  });
+
+  describe('.bulkGet()', () => {
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should be defined', () => {
+      expect(db).to.respondTo('bulkGet');
+    });
+
+    it('should throw if items is not an array', () => {
+      expect(() => db.bulkGet('a')).to.throw('rxCouch.db.bulkGet: items must be an array');
+    });
+
+    it('should throw if an item has no document ID', () => {
+      expect(() => db.bulkGet([{rev: '1-x'}])).to.throw('rxCouch.db.bulkGet: invalid item');
+    });
+
+    it('should throw if an item has an invalid revision ID', () => {
+      expect(() => db.bulkGet([{id: 'a', rev: 1}])).to.throw('rxCouch.db.bulkGet: invalid revision ID');
+    });
+
+    it('should throw if options is not an object', () => {
+      expect(() => db.bulkGet([], 42)).to.throw('rxCouch.db.bulkGet: options, if present, must be an object');
+    });
+
+    it('should send documents and per-item errors from /_bulk_get', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_get?revs=true', {docs: [{id: 'a'}, {id: 'b', rev: '1-x'}]})
+        .reply(200, '{"results":[' +
+          '{"id":"a","docs":[{"ok":{"_id":"a","_rev":"2-y","foo":1,"_revisions":{"start":2,"ids":["y","x"]}}}]},' +
+          '{"id":"b","docs":[{"error":{"id":"b","rev":"1-x","error":"not_found","reason":"missing"}}]}]}');
+
+      const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+      const iter = nockDb.bulkGet(['a', {id: 'b', rev: '1-x'}], {revs: true}).toAsyncIterator();
+
+      expect(yield iter.nextValue()).to.deep.equal({_id: 'a', _rev: '2-y', foo: 1, _revisions: {start: 2, ids: ['y', 'x']}});
+      expect(yield iter.nextValue()).to.deep.equal({id: 'b', rev: '1-x', error: 'not_found', reason: 'missing'});
+      yield iter.shouldComplete();
+    });
+
+    it('should send each document before the whole response has arrived', function * () {
+      const Readable = require('stream').Readable;
+      let body = new Readable({read: () => {}});
+      body.push('{"results":[{"id":"a","docs":[{"ok":{"_id":"a","_rev":"1-x"}}]},');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_get')
+        .reply(200, () => body);
+
+      const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+      const iter = nockDb.bulkGet(['a', 'b']).toAsyncIterator();
+
+      expect(yield iter.nextValue()).to.deep.equal({_id: 'a', _rev: '1-x'});
+
+      body.push('{"id":"b","docs":[{"ok":{"_id":"b","_rev":"1-y"}}]}]}');
+      body.push(null);
+
+      expect(yield iter.nextValue()).to.deep.equal({_id: 'b', _rev: '1-y'});
+      yield iter.shouldComplete();
+    });
+
+    it("should fall back to _all_docs if the server doesn't support /_bulk_get", function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_get', {docs: [{id: 'a'}, {id: 'b', rev: '1-x'}, {id: 'c'}, {id: 'd'}]})
+        .reply(405, '{"error":"method_not_allowed","reason":"Only GET,HEAD,DELETE allowed"}');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_all_docs?include_docs=true', {keys: ['a', 'c', 'd']})
+        .reply(200, '{"total_rows":3,"rows":[' +
+          '{"id":"a","key":"a","value":{"rev":"2-y"},"doc":{"_id":"a","_rev":"2-y","foo":1}},' +
+          '{"key":"c","error":"not_found"},' +
+          '{"id":"d","key":"d","value":{"rev":"3-z","deleted":true},"doc":null}]}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/b?rev=1-x')
+        .reply(200, '{"_id":"b","_rev":"1-x","foo":2}');
+
+      const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+      const results = yield nockDb.bulkGet(['a', {id: 'b', rev: '1-x'}, 'c', 'd'])
+        .toArray()
+        .shouldGenerateOneValue();
+
+      expect(results).to.deep.equal([
+        {_id: 'a', _rev: '2-y', foo: 1},
+        {_id: 'b', _rev: '1-x', foo: 2},
+        {id: 'c', error: 'not_found', reason: 'missing'},
+        {id: 'd', rev: '3-z', error: 'not_found', reason: 'deleted'}
+      ]);
+
+      expect(nockDb._dbDoesNotSupportBulkGet).to.equal(true);
+        // Hacky: Sniffing the implementation details.
+
+      // Now that we know /_bulk_get is missing, we shouldn't try it again.
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_all_docs?include_docs=true', {keys: ['a']})
+        .reply(200, '{"total_rows":3,"rows":[{"id":"a","key":"a","value":{"rev":"2-y"},"doc":{"_id":"a","_rev":"2-y","foo":1}}]}');
+
+      const again = yield nockDb.bulkGet(['a']).shouldGenerateOneValue();
+      expect(again).to.deep.equal({_id: 'a', _rev: '2-y', foo: 1});
+    });
+
+    it('should report a missing revision as a per-item error in fallback mode', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_get')
+        .reply(404, '{"error":"not_found","reason":"missing"}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/b?rev=9-q')
+        .reply(404, '{"error":"not_found","reason":"missing"}');
+
+      const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+      const result = yield nockDb.bulkGet([{id: 'b', rev: '9-q'}]).shouldGenerateOneValue();
+      expect(result).to.deep.equal({id: 'b', rev: '9-q', error: 'not_found', reason: 'missing'});
+    });
+
+    it('should not fall back after a bad request', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_get', {docs: [{id: 'a', rev: 'bogus'}]})
+        .reply(400, '{"error":"bad_request","reason":"Invalid rev format"}');
+
+      const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+      const err = yield nockDb.bulkGet([{id: 'a', rev: 'bogus'}]).shouldThrow();
+      expect(err).to.be.an.instanceof(RxCouch.CouchError);
+      expect(err.status).to.equal(400);
+      expect(nockDb._dbDoesNotSupportBulkGet).to.equal(undefined);
+        // Hacky: Sniffing the implementation details.
+    });
+
+    it('should not fall back if the database does not exist', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_get')
+        .reply(404, '{"error":"not_found","reason":"Database does not exist."}');
+
+      const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+      const err = yield nockDb.bulkGet(['a']).shouldThrow();
+      expect(err).to.be.an.instanceof(RxCouch.NotFoundError);
+      expect(nockDb._dbDoesNotSupportBulkGet).to.equal(undefined);
+        // Hacky: Sniffing the implementation details.
+    });
+
+    it('should send an onError message for other failures', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_get')
+        .reply(401, '{"error":"unauthorized","reason":"You are not authorized to access this db."}');
+
+      const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+      const err = yield nockDb.bulkGet(['a']).shouldThrow();
+      expect(err).to.be.an.instanceof(RxCouch.UnauthorizedError);
+    });
+  });
+
+  describe('.patch()', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should be defined', () => {
+      expect(db).to.respondTo('patch');
+    });
+
+    it('should throw if arguments are invalid', () => {
+      expect(() => db.patch()).to.throw('rxCouch.db.patch: missing document ID');
+      expect(() => db.patch('doc')).to.throw('rxCouch.db.patch: ops must be an array');
+      expect(() => db.patch('doc', [{op: 'bogus'}])).to.throw('rxCouch.db.patch: invalid patch operation');
+    });
+
+    it('should apply the patch and write the result', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc')
+        .reply(200, '{"_id":"doc","_rev":"1-abc","status":"new","tags":["a"]}');
+
+      nock('http://localhost:5979', {reqheaders: {'If-Match': '1-abc'}})
+        .put('/test-rx-couch-db/doc', '{"status":"done","tags":["a","urgent"]}')
+        .reply(201, '{"ok":true,"id":"doc","rev":"2-def"}');
+
+      const result = yield nockDb.patch('doc', [
+        {op: 'test', path: '/status', value: 'new'},
+        {op: 'replace', path: '/status', value: 'done'},
+        {op: 'add', path: '/tags/-', value: 'urgent'}
+      ]).shouldGenerateOneValue();
+
+      expect(result).to.deep.equal({ok: true, id: 'doc', rev: '2-def'});
+    });
+
+    it('should send an onError message if the patch fails', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc')
+        .reply(200, '{"_id":"doc","_rev":"1-abc","status":"done"}');
+
+      const err = yield nockDb.patch('doc', [{op: 'test', path: '/status', value: 'new'}]).shouldThrow();
+      expect(err.message).to.equal('rxCouch: patch test failed at "/status"');
+    });
+  });
+
+  describe('.modify()', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should be defined', () => {
+      expect(db).to.respondTo('modify');
+    });
+
+    it('should throw if arguments are invalid', () => {
+      expect(() => db.modify()).to.throw('rxCouch.db.modify: missing document ID');
+      expect(() => db.modify(42)).to.throw('rxCouch.db.modify: invalid document ID');
+      expect(() => db.modify('x')).to.throw('rxCouch.db.modify: fn must be a function');
+      expect(() => db.modify('x', doc => doc, 42))
+        .to.throw('rxCouch.db.modify: options, if present, must be an object');
+      expect(() => db.modify('x', doc => doc, {maxAttempts: 'lots'}))
+        .to.throw('rxCouch.db.modify: options.maxAttempts, if present, must be a positive number');
+    });
+
+    it('should apply the function and write the result', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/counter')
+        .reply(200, '{"_id":"counter","_rev":"1-abc","count":1}');
+
+      nock('http://localhost:5979', {reqheaders: {'If-Match': '1-abc'}})
+        .put('/test-rx-couch-db/counter', '{"count":2}')
+        .reply(201, '{"ok":true,"id":"counter","rev":"2-def"}');
+
+      const result = yield nockDb.modify('counter', doc => Object.assign(doc, {count: doc.count + 1}))
+        .shouldGenerateOneValue();
+      expect(result).to.deep.equal({ok: true, id: 'counter', rev: '2-def'});
+    });
+
+    it('should create a missing document', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/counter')
+        .reply(404, '{"error":"not_found","reason":"missing"}');
+
+      nock('http://localhost:5979', {badheaders: ['If-Match']})
+        .put('/test-rx-couch-db/counter', '{"count":1}')
+        .reply(201, '{"ok":true,"id":"counter","rev":"1-abc"}');
+
+      const result = yield nockDb.modify('counter', doc => ({count: (doc.count || 0) + 1}))
+        .shouldGenerateOneValue();
+      expect(result.rev).to.equal('1-abc');
+    });
+
+    it('should reapply the function after a conflict', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/counter')
+        .reply(200, '{"_id":"counter","_rev":"1-abc","count":1}');
+
+      nock('http://localhost:5979')
+        .put('/test-rx-couch-db/counter', '{"count":2}')
+        .reply(409, '{"error":"conflict","reason":"Document update conflict."}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/counter')
+        .reply(200, '{"_id":"counter","_rev":"2-xyz","count":5}');
+
+      nock('http://localhost:5979', {reqheaders: {'If-Match': '2-xyz'}})
+        .put('/test-rx-couch-db/counter', '{"count":6}')
+        .reply(201, '{"ok":true,"id":"counter","rev":"3-def"}');
+
+      let calls = 0;
+      const result = yield nockDb.modify('counter', doc => {
+        calls++;
+        return Object.assign(doc, {count: doc.count + 1});
+      }).shouldGenerateOneValue();
+
+      expect(result.rev).to.equal('3-def');
+      expect(calls).to.equal(2);
+    });
+
+    it('should give up after maxAttempts conflicts', function * () {
+      for (let i = 0; i < 2; i++) {
+        nock('http://localhost:5979')
+          .get('/test-rx-couch-db/counter')
+          .reply(200, '{"_id":"counter","_rev":"1-abc","count":1}');
+
+        nock('http://localhost:5979')
+          .put('/test-rx-couch-db/counter')
+          .reply(409, '{"error":"conflict","reason":"Document update conflict."}');
+      }
+
+      const err = yield nockDb.modify('counter', doc => Object.assign(doc, {count: 2}), {maxAttempts: 2})
+        .shouldThrow();
+      expect(err).to.be.an.instanceof(RxCouch.ConflictError);
+      expect(nock.isDone()).to.equal(true);
+    });
+
+    it('should not write if the function makes no change', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/counter')
+        .reply(200, '{"_id":"counter","_rev":"1-abc","count":1,"nested":{"a":[1,2]}}');
+
+      const result = yield nockDb.modify('counter', doc => {
+        doc.nested.a.push(3);
+        doc.nested.a.pop();
+        return doc;
+      }).shouldGenerateOneValue();
+
+      expect(result).to.deep.equal({id: 'counter', ok: true, rev: '1-abc', noop: true});
+    });
+
+    it('should send an onError message if the function does not return an object', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/counter')
+        .reply(200, '{"_id":"counter","_rev":"1-abc"}');
+
+      const err = yield nockDb.modify('counter', () => undefined).shouldThrow();
+      expect(err.message).to.equal('rxCouch.db.modify: fn must return an object');
+    });
+  });
+
+  describe('.delete()', () => {
+    it('should be defined', () => {
+      expect(db).to.respondTo('delete');
+    });
+
+    it('should throw if no document ID is provided', () => {
+      expect(() => db.delete()).to.throw('rxCouch.db.delete: missing document ID');
+    });
+
+    it('should throw if an invalid document ID is provided', () => {
+      expect(() => db.delete(42)).to.throw('rxCouch.db.delete: invalid document ID');
+    });
+
+    it('should throw if no revision ID is provided', () => {
+      expect(() => db.delete('testing123')).to.throw('rxCouch.db.delete: missing revision ID');
+    });
+
+    it('should throw if an invalid revision ID is provided', () => {
+      expect(() => db.delete('testing123', 42)).to.throw('rxCouch.db.delete: invalid revision ID');
+    });
+
+    it('should fail when _id matches an existing document but incorrect _rev is provided', function * () {
+      const err = yield db.delete('testing123', 'bogus').shouldThrow();
+      expect(err.message).to.equal('HTTP Error 400 on http://127.0.0.1:5984/test-rx-couch-db/testing123: Bad Request');
+    });
+
+    it('should delete an existing document when correct _id and _rev are provided', function * () {
+      const deleteResponse = yield db.delete('testing123', rev2).shouldGenerateOneValue();
+      expect(deleteResponse).to.be.an('object');
+      expect(deleteResponse.id).to.equal('testing123');
+      expect(deleteResponse.ok).to.equal(true);
+      expect(deleteResponse.rev).to.match(/^3-/);
+    });
+
+    it('should actually have deleted the existing document', function * () {
+      const err = yield db.get('testing123').shouldThrow();
+      expect(err.message).to.equal('HTTP Error 404 on http://127.0.0.1:5984/test-rx-couch-db/testing123: Object Not Found');
+    });
+  });
+
+  describe('.replicateFrom()', () => {
+    const srcDb = server.db('test-rx-couch-clone-source');
+
+    before('create test databases', function * () {
+      yield server.createDatabase('test-rx-couch-clone-source').shouldBeEmpty();
+      yield server.createDatabase('test-rx-couch-clone-target').shouldBeEmpty();
+      let putObject = {_id: 'testing234', foo: 'bar'};
+      yield srcDb.put(putObject).shouldGenerateOneValue();
+    });
+
+    after('destroy test databases', function * () {
+      yield server.deleteDatabase('test-rx-couch-clone-source').shouldBeEmpty();
+      yield server.deleteDatabase('test-rx-couch-clone-target').shouldBeEmpty();
+    });
+
+    it('should throw if options is missing', () => {
+      expect(() => srcDb.replicateFrom()).to.throw('rxCouch.db.replicateFrom: options must be an object');
+    });
+
+    it('should throw if options is not an object', () => {
+      expect(() => srcDb.replicateFrom('blah')).to.throw('rxCouch.db.replicateFrom: options must be an object');
+    });
+
+    it('should throw if options contains a "target" entry', () => {
+      expect(() => srcDb.replicateFrom({
+        source: 'test-rx-couch-clone-source',
+        target: 'test-rx-couch-clone-target'
+      })).to.throw('rxCouch.db.replicateFrom: options.target must not be specified');
+    });
+
+    it('should return an Observable with status information', function * () {
+      const replResult = yield srcDb.replicateFrom({
+        source: 'test-rx-couch-clone-source'
+      }).shouldGenerateOneValue();
+
+      expect(replResult).to.be.an('object');
+      expect(replResult.ok).to.equal(true);
+      expect(replResult.history).to.be.an('array');
+    });
+  });
+
+  describe('.changes() (filters)', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should throw if the filter options are invalid', () => {
+      expect(() => nockDb.changes({filter: 42}))
+        .to.throw('rxCouch.db.changes: options.filter, if present, must be a non-empty string');
+      expect(() => nockDb.changes({selector: 'type'}))
+        .to.throw('rxCouch.db.changes: options.selector must be an object');
+      expect(() => nockDb.changes({selector: {type: 'order'}, filter: '_view'}))
+        .to.throw('rxCouch.db.changes: options.selector requires filter: "_selector"');
+      expect(() => nockDb.changes({view: 'by_type'}))
+        .to.throw('rxCouch.db.changes: options.view must be of the form "ddoc/view"');
+      expect(() => nockDb.changes({doc_ids: ['a', 1]}))
+        .to.throw('rxCouch.db.changes: options.doc_ids must be an array of strings');
+      expect(() => nockDb.changes({doc_ids: ['a'], selector: {type: 'order'}}))
+        .to.throw('rxCouch.db.changes: options.doc_ids requires filter: "_doc_ids"');
+    });
+
+    it('should POST a Mango selector', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_changes?include_docs=true&filter=_selector', {selector: {type: 'order', total: {$gt: 10}}})
+        .reply(200, '{"results":[{"seq":3,"id":"o1","changes":[]}],"last_seq":3}');
+
+      const changes = yield nockDb.changes({selector: {type: 'order', total: {$gt: 10}}, include_docs: true})
+        .toArray().shouldGenerateOneValue();
+      expect(changes.map(change => change.id)).to.deep.equal(['o1']);
+    });
+
+    it('should POST the selector on each poll of a longpoll feed', function * () {
+      const body = {selector: {type: 'order'}};
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_changes?feed=longpoll&since=now&filter=_selector', body)
+        .reply(200, '{"results":[{"seq":4,"id":"o1","changes":[]}],"last_seq":4}');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_changes?feed=longpoll&since=4&filter=_selector', body)
+        .reply(200, '{"results":[{"seq":5,"id":"o2","changes":[]}],"last_seq":5}');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_changes?feed=longpoll&since=5&filter=_selector', body)
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":5}');
+
+      const iter = nockDb.changes({feed: 'longpoll', since: 'now', selector: {type: 'order'}}).toAsyncIterator();
+      expect((yield iter.nextValue()).id).to.equal('o1');
+      expect((yield iter.nextValue()).id).to.equal('o2');
+      iter.unsubscribe();
+    });
+
+    it('should POST the selector for a continuous feed', function * () {
+      nock('http://localhost:5979', {reqheaders: {Accept: 'application/json'}})
+        .post('/test-rx-couch-db/_changes?feed=continuous&limit=1&filter=_selector', {selector: {type: 'order'}})
+        .reply(200, '{"seq":1,"id":"o1","changes":[]}\n{"last_seq":1}\n');
+
+      const changes = yield nockDb.changes({feed: 'continuous', limit: 1, selector: {type: 'order'}})
+        .toArray().shouldGenerateOneValue();
+      expect(changes.map(change => change.id)).to.deep.equal(['o1']);
+    });
+
+    it('should filter by view', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?view=orders%2Fby_customer&filter=_view')
+        .reply(200, '{"results":[{"seq":3,"id":"o1","changes":[]}],"last_seq":3}');
+
+      const changes = yield nockDb.changes({view: '_design/orders/by_customer'}).toArray().shouldGenerateOneValue();
+      expect(changes.map(change => change.id)).to.deep.equal(['o1']);
+    });
+
+    it('should pass query parameters to a design document filter', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query({filter: 'orders/by_region', regions: '["eu","us"]', limits: '{"min":1}', active: 'true'})
+        .reply(200, '{"results":[{"seq":3,"id":"o1","changes":[]}],"last_seq":3}');
+
+      const changes = yield nockDb.changes({
+        filter: '_design/orders/by_region',
+        regions: ['eu', 'us'],
+        limits: {min: 1},
+        active: true
+      }).toArray().shouldGenerateOneValue();
+      expect(changes.map(change => change.id)).to.deep.equal(['o1']);
+    });
+
+    it('should send short doc_ids lists in the URL', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?doc_ids=%5B%22a%22%2C%22b%22%5D&filter=_doc_ids')
+        .reply(200, '{"results":[{"seq":3,"id":"a","changes":[]}],"last_seq":3}');
+
+      const changes = yield nockDb.changes({doc_ids: ['a', 'b']}).toArray().shouldGenerateOneValue();
+      expect(changes.map(change => change.id)).to.deep.equal(['a']);
+    });
+
+    it('should POST long doc_ids lists', function * () {
+      let docIds = [];
+      for (let i = 0; i < 500; i++) {
+        docIds.push('document-' + i);
+      }
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_changes?filter=_doc_ids', {doc_ids: docIds})
+        .reply(200, '{"results":[{"seq":3,"id":"document-7","changes":[]}],"last_seq":3}');
+
+      const changes = yield nockDb.changes({doc_ids: docIds, filter: '_doc_ids'}).toArray().shouldGenerateOneValue();
+      expect(changes.map(change => change.id)).to.deep.equal(['document-7']);
+    });
+  });
+
+  describe('.changes() (checkpoints)', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    const makeStore = savedSeq => {
+      let store = {saves: []};
+      store.load = () => Rx.Observable.just(savedSeq);
+      store.save = seq => Rx.Observable.defer(() => {
+        store.saves.push(seq);
+        return Rx.Observable.just(true);
+      });
+      return store;
+    };
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should throw if the checkpoint options are invalid', () => {
+      expect(() => db.changes({checkpoint: 42}))
+        .to.throw('rxCouch.db.changes: options.checkpoint must be a string or a checkpoint store');
+      expect(() => db.changes({checkpoint: makeStore(), commit: 'never'}))
+        .to.throw('rxCouch.db.changes: options.commit, if present, must be "auto" or "ack"');
+    });
+
+    it('should resume from the saved sequence and save after each batch', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?since=7')
+        .reply(200, '{"results":[{"seq":8,"id":"a","changes":[]},{"seq":9,"id":"b","changes":[]}],"last_seq":9}');
+
+      const store = makeStore(7);
+      const changes = yield nockDb.changes({checkpoint: store, since: 0}).toArray().shouldGenerateOneValue();
+
+      expect(changes.map(change => change.id)).to.deep.equal(['a', 'b']);
+      expect(store.saves).to.deep.equal([9]);
+    });
+
+    it('should use since if nothing has been saved', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?since=0')
+        .reply(200, '{"results":[{"seq":1,"id":"a","changes":[]}],"last_seq":1}');
+
+      const store = makeStore(undefined);
+      yield nockDb.changes({checkpoint: store, since: 0}).toArray().shouldGenerateOneValue();
+      expect(store.saves).to.deep.equal([1]);
+    });
+
+    it('should accept a local document ID as the checkpoint', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_local/worker')
+        .reply(200, '{"_id":"_local/worker","_rev":"0-1","seq":3}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?since=3')
+        .reply(200, '{"results":[{"seq":4,"id":"a","changes":[]}],"last_seq":4}');
+
+      nock('http://localhost:5979')
+        .put('/test-rx-couch-db/_local/worker', {_rev: '0-1', seq: 4})
+        .reply(201, '{"ok":true,"id":"_local/worker","rev":"0-2"}');
+
+      yield nockDb.changes({checkpoint: 'worker'}).toArray().shouldGenerateOneValue();
+      expect(nock.isDone()).to.equal(true);
+    });
+
+    it('should send an onError message if a save fails', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .reply(200, '{"results":[{"seq":1,"id":"a","changes":[]}],"last_seq":1}');
+
+      let store = makeStore();
+      store.save = () => Rx.Observable.throw(new Error('disk full'));
+
+      const err = yield nockDb.changes({checkpoint: store}).toArray().shouldThrow();
+      expect(err.message).to.equal('disk full');
+    });
+
+    it('should not hold on to completed saves', function * () {
+      const feedDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+      const changes = feedDb.changes.bind(feedDb);
+      feedDb.changes = options => options.checkpoint
+        ? changes(options)
+        : Rx.Observable.interval(1).take(100).map(i => ({seq: i + 1, id: 'doc-' + i, changes: []}));
+
+      const add = Rx.CompositeDisposable.prototype.add;
+      let maxLength = 0;
+      Rx.CompositeDisposable.prototype.add = function (item) {
+        add.call(this, item);
+        maxLength = Math.max(maxLength, this.length);
+      };
+
+      const store = makeStore();
+      try {
+        yield feedDb.changes({checkpoint: store}).toArray().shouldGenerateOneValue();
+      } finally {
+        Rx.CompositeDisposable.prototype.add = add;
+      }
+
+      expect(store.saves[store.saves.length - 1]).to.equal(100);
+      expect(maxLength).to.be.below(5);
+    });
+
+    it('should only save acknowledged changes in ack mode', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .reply(200, '{"results":[{"seq":1,"id":"a","changes":[]},{"seq":2,"id":"b","changes":[]}],"last_seq":2}');
+
+      const store = makeStore();
+      const feed = nockDb.changes({checkpoint: store, commit: 'ack'});
+      const changes = yield feed.toArray().shouldGenerateOneValue();
+      expect(store.saves).to.deep.equal([]);
+
+      yield feed.ack(changes[0]).shouldGenerateOneValue();
+      expect(store.saves).to.deep.equal([1]);
+
+      expect(() => feed.ack({id: 'x'})).to.throw('rxCouch.db.changes: ack requires a change with a seq');
+    });
+  });
+
+  describe('.changes() (reconnecting)', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should throw if the reconnect options are invalid', () => {
+      expect(() => nockDb.changes({feed: 'longpoll', reconnect: 'yes'}))
+        .to.throw('rxCouch.db.changes: options: reconnect, if present, must be a boolean or an object');
+      expect(() => nockDb.changes({feed: 'longpoll', reconnect: {maxAttempts: 0}}))
+        .to.throw('rxCouch.db.changes: options: reconnect.maxAttempts must be a positive number');
+      expect(() => nockDb.changes({feed: 'longpoll', onConnectionState: 'log'}))
+        .to.throw('rxCouch.db.changes: options.onConnectionState, if present, must be a function');
+    });
+
+    it('should reconnect a longpoll feed from the last sequence and report its state', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=0')
+        .reply(200, '{"results":[{"seq":1,"id":"a","changes":[]}],"last_seq":1}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=1')
+        .reply(502, 'Bad Gateway');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=1')
+        .replyWithError({code: 'ECONNRESET', message: 'socket hang up'});
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=1')
+        .reply(200, '{"results":[{"seq":2,"id":"b","changes":[]}],"last_seq":2}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=2')
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":2}');
+
+      let states = [];
+      const iter = nockDb.changes({
+        feed: 'longpoll',
+        since: 0,
+        reconnect: {initialDelay: 1, jitter: 0},
+        onConnectionState: event => states.push(event)
+      }).toAsyncIterator();
+
+      expect((yield iter.nextValue()).id).to.equal('a');
+      expect((yield iter.nextValue()).id).to.equal('b');
+      iter.unsubscribe();
+
+      expect(states.map(event => event.state)).to.deep.equal(['connected', 'reconnecting', 'reconnecting', 'connected']);
+      expect(states[1].attempt).to.equal(1);
+      expect(states[1].delay).to.equal(1);
+      expect(states[1].error).to.be.an.instanceof(RxCouch.CouchError);
+      expect(states[1].error.status).to.equal(502);
+      expect(states[2].attempt).to.equal(2);
+      expect(states[2].delay).to.equal(2);
+    });
+
+    it('should report a longpoll feed connected before the poll returns', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=now')
+        .replyWithError({code: 'ECONNRESET', message: 'socket hang up'});
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=now')
+        .delayBody(1000)
+        .reply(200, '{"results":[],"last_seq":1}');
+
+      let states = [];
+      let changes = [];
+      const subscription = nockDb.changes({
+        feed: 'longpoll',
+        since: 'now',
+        reconnect: {initialDelay: 1},
+        onConnectionState: event => states.push(event.state)
+      }).subscribe(change => changes.push(change));
+
+      yield new Promise(resolve => setTimeout(resolve, 200));
+      subscription.dispose();
+
+      expect(states).to.deep.equal(['reconnecting', 'connected']);
+      expect(changes).to.deep.equal([]);
+    });
+
+    it('should give up after maxAttempts consecutive failures', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=now')
+        .times(3)
+        .reply(503, '{"error":"unavailable","reason":"starting up"}');
+
+      let states = [];
+      const err = yield nockDb.changes({
+        feed: 'longpoll',
+        since: 'now',
+        reconnect: {initialDelay: 1, maxAttempts: 3},
+        onConnectionState: event => states.push(event.state)
+      }).shouldThrow();
+
+      expect(err).to.be.an.instanceof(RxCouch.ServerError);
+      expect(states).to.deep.equal(['reconnecting', 'reconnecting', 'offline']);
+      expect(nock.isDone()).to.equal(true);
+    });
+
+    it('should not reconnect after an error that is not transient', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=continuous&since=now')
+        .reply(401, '{"error":"unauthorized","reason":"You are not authorized to access this db."}');
+
+      let states = [];
+      const err = yield nockDb.changes({
+        feed: 'continuous',
+        since: 'now',
+        onConnectionState: event => states.push(event)
+      }).shouldThrow();
+
+      expect(err).to.be.an.instanceof(RxCouch.UnauthorizedError);
+      expect(states).to.deep.equal([{state: 'offline', error: err}]);
+    });
+
+    it('should not reconnect after a response that is not valid JSON', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=now')
+        .reply(200, '<html><body>Please log in</body></html>');
+
+      let states = [];
+      const err = yield nockDb.changes({
+        feed: 'longpoll',
+        since: 'now',
+        onConnectionState: event => states.push(event.state)
+      }).shouldThrow();
+
+      expect(err).to.be.an.instanceof(SyntaxError);
+      expect(states).to.deep.equal(['connected', 'offline']);
+    });
+
+    it('should reconnect after any network error or a request timeout', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=now')
+        .replyWithError({code: 'ENOTFOUND', message: 'getaddrinfo ENOTFOUND'});
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=now')
+        .delay(200)
+        .reply(200, '{"results":[],"last_seq":1}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=now')
+        .reply(200, '{"results":[{"seq":2,"id":"a","changes":[]}],"last_seq":2}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=2')
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":2}');
+
+      let states = [];
+      const iter = nockDb.changes({
+        feed: 'longpoll',
+        since: 'now',
+        requestTimeout: 50,
+        reconnect: {initialDelay: 1},
+        onConnectionState: event => states.push(event)
+      }).toAsyncIterator();
+
+      expect((yield iter.nextValue()).id).to.equal('a');
+      iter.unsubscribe();
+
+      expect(states.map(event => event.state)).to.deep.equal(['reconnecting', 'reconnecting', 'connected']);
+      expect(states[1].error).to.be.an.instanceof(RxCouch.TimeoutError);
+    });
+
+    it('should fail on the first error if reconnect is false', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=now')
+        .reply(502, 'Bad Gateway');
+
+      const err = yield nockDb.changes({feed: 'longpoll', since: 'now', reconnect: false}).shouldThrow();
+      expect(err.status).to.equal(502);
+    });
+  });
+
+  describe('.changes() (streaming feeds)', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should parse a continuous feed and reconnect from the last sequence', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=continuous&heartbeat=1000&since=now')
+        .reply(200, '{"seq":"1-a","id":"a","changes":[{"rev":"1-x"}]}\n' +
+          '\n' +
+          '{"seq":"2-b","id":"b","changes":[{"rev":"1-y"}]}\n' +
+          '{"last_seq":"3-c","pending":0}\n');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=continuous&heartbeat=1000&since=3-c')
+        .reply(200, '{"seq":"4-d","id":"c","changes":[{"rev":"1-z"}]}\n');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=continuous&heartbeat=1000&since=4-d')
+        .delay(1000)
+        .reply(200, '');
+
+      const iter = nockDb.changes({feed: 'continuous', heartbeat: 1000, since: 'now'}).toAsyncIterator();
+
+      expect(yield iter.nextValue()).to.deep.equal({seq: '1-a', id: 'a', changes: [{rev: '1-x'}]});
+      expect((yield iter.nextValue()).id).to.equal('b');
+      expect((yield iter.nextValue()).id).to.equal('c');
+
+      iter.unsubscribe();
+    });
+
+    it('should start each subscription from the original sequence', function * () {
+      const interceptFeed = () => {
+        nock('http://localhost:5979')
+          .get('/test-rx-couch-db/_changes?feed=continuous&since=0')
+          .reply(200, '{"seq":1,"id":"a","changes":[]}\n');
+
+        nock('http://localhost:5979')
+          .get('/test-rx-couch-db/_changes?feed=continuous&since=1')
+          .delay(1000)
+          .reply(200, '');
+      };
+
+      const changes = nockDb.changes({feed: 'continuous', since: 0});
+
+      interceptFeed();
+      const first = changes.toAsyncIterator();
+      expect((yield first.nextValue()).id).to.equal('a');
+      first.unsubscribe();
+
+      nock.cleanAll();
+      interceptFeed();
+      const second = changes.toAsyncIterator();
+      expect((yield second.nextValue()).id).to.equal('a');
+      second.unsubscribe();
+    });
+
+    it('should stop at the end of the feed if limit is given', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=continuous&limit=1')
+        .reply(200, '{"seq":1,"id":"a","changes":[]}\n{"last_seq":1,"pending":5}\n');
+
+      const changes = yield nockDb.changes({feed: 'continuous', limit: 1}).toArray().shouldGenerateOneValue();
+      expect(changes).to.deep.equal([{seq: 1, id: 'a', changes: []}]);
+    });
+
+    it('should resume from the last sequence after a transient failure', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=continuous&since=0')
+        .reply(503, '{"error":"unavailable"}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=continuous&since=0')
+        .reply(200, '{"seq":1,"id":"a","changes":[]}\n{"last_seq":1}\n');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=continuous&since=1')
+        .delay(1000)
+        .reply(200, '');
+
+      const retryingDb = new RxCouch('http://localhost:5979', {retry: {initialDelay: 1}}).db('test-rx-couch-db');
+      const iter = retryingDb.changes({feed: 'continuous', since: 0}).toAsyncIterator();
+      expect((yield iter.nextValue()).id).to.equal('a');
+      iter.unsubscribe();
+    });
+
+    it('should parse an eventsource feed', function * () {
+      nock('http://localhost:5979', {reqheaders: {Accept: 'text/event-stream'}})
+        .get('/test-rx-couch-db/_changes?feed=eventsource&since=0')
+        .reply(200, 'data: {"seq":1,"id":"a","changes":[]}\n' +
+          'id: 1\n' +
+          '\n' +
+          '\n' +
+          'event: heartbeat\n' +
+          'data: \n' +
+          '\n' +
+          ': comment\n' +
+          'data: {"seq":2,"id":"b","changes":[]}\n' +
+          'id: 2\n' +
+          '\n');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=eventsource&since=2')
+        .delay(1000)
+        .reply(200, '');
+
+      const iter = nockDb.changes({feed: 'eventsource', since: 0}).toAsyncIterator();
+      expect(yield iter.nextValue()).to.deep.equal({seq: 1, id: 'a', changes: []});
+      expect((yield iter.nextValue()).id).to.equal('b');
+      iter.unsubscribe();
+    });
+  });
+
+  describe('.changes() (envelopes)', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should throw if options.envelope is invalid', () => {
+      expect(() => db.changes({envelope: 'page'}))
+        .to.throw('rxCouch.db.changes: options.envelope, if present, must be "batch" or "item"');
+    });
+
+    it('should send each longpoll response as a batch', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=0')
+        .reply(200, '{"results":[{"seq":1,"id":"a","changes":[]},{"seq":2,"id":"b","changes":[]}],"last_seq":2,"pending":10}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=2')
+        .reply(200, '{"results":[],"last_seq":2,"pending":0}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=2')
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":2}');
+
+      const iter = nockDb.changes({feed: 'longpoll', since: 0, envelope: 'batch'}).toAsyncIterator();
+
+      expect(yield iter.nextValue()).to.deep.equal({
+        results: [{seq: 1, id: 'a', changes: []}, {seq: 2, id: 'b', changes: []}],
+        last_seq: 2,
+        pending: 10
+      });
+      expect(yield iter.nextValue()).to.deep.equal({results: [], last_seq: 2, pending: 0});
+
+      iter.unsubscribe();
+    });
+
+    it('should add last_seq and pending to each change', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?since=0')
+        .reply(200, '{"results":[{"seq":1,"id":"a","changes":[]},{"seq":2,"id":"b","changes":[]}],"last_seq":2,"pending":10}');
+
+      const changes = yield nockDb.changes({since: 0, envelope: 'item'}).toArray().shouldGenerateOneValue();
+      expect(changes).to.deep.equal([
+        {seq: 1, id: 'a', changes: [], last_seq: 2, pending: 11},
+        {seq: 2, id: 'b', changes: [], last_seq: 2, pending: 10}
+      ]);
+    });
+
+    it('should continue a descending longpoll feed in ascending order', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&descending=true&limit=1')
+        .reply(200, '{"results":[{"seq":"9-z","id":"z","changes":[]}],"last_seq":"8-y","pending":8}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&limit=1&since=9-z')
+        .reply(200, '{"results":[{"seq":"10-a","id":"a","changes":[]}],"last_seq":"10-a","pending":0}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&limit=1&since=10-a')
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":"10-a"}');
+
+      const iter = nockDb.changes({feed: 'longpoll', descending: true, limit: 1}).toAsyncIterator();
+      expect((yield iter.nextValue()).id).to.equal('z');
+      expect((yield iter.nextValue()).id).to.equal('a');
+      iter.unsubscribe();
+    });
+
+    it('should continue a longpoll feed from last_seq when seq_interval is given', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&seq_interval=10&since=0')
+        .reply(200, '{"results":[{"seq":null,"id":"a","changes":[]}],"last_seq":"2-b"}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&seq_interval=10&since=2-b')
+        .reply(200, '{"results":[{"seq":null,"id":"c","changes":[]}],"last_seq":"3-c"}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&seq_interval=10&since=3-c')
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":"3-c"}');
+
+      const iter = nockDb.changes({feed: 'longpoll', seq_interval: 10, since: 0, envelope: 'item'}).toAsyncIterator();
+      expect(yield iter.nextValue()).to.deep.equal({seq: null, id: 'a', changes: [], last_seq: '2-b'});
+      expect(yield iter.nextValue()).to.deep.equal({seq: null, id: 'c', changes: [], last_seq: '3-c'});
+      iter.unsubscribe();
+    });
+
+    it('should send batches from a continuous feed', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=continuous&limit=2&seq_interval=2')
+        .reply(200, '{"seq":null,"id":"a","changes":[]}\n' +
+          '{"seq":"2-b","id":"b","changes":[]}\n' +
+          '{"last_seq":"2-b","pending":5}\n');
+
+      const batches = yield nockDb.changes({feed: 'continuous', limit: 2, seq_interval: 2, envelope: 'batch'})
+        .toArray()
+        .shouldGenerateOneValue();
+
+      expect(batches).to.deep.equal([
+        {results: [{seq: null, id: 'a', changes: []}], last_seq: undefined},
+        {results: [{seq: '2-b', id: 'b', changes: []}], last_seq: '2-b'},
+        {results: [], last_seq: '2-b', pending: 5}
+      ]);
+    });
+
+    it('should reopen a continuous feed from the last non-null sequence', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=continuous&seq_interval=2&since=0')
+        .reply(200, '{"seq":"1-a","id":"a","changes":[]}\n{"seq":null,"id":"b","changes":[]}\n');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=continuous&seq_interval=2&since=1-a')
+        .reply(200, '{"seq":null,"id":"b","changes":[]}\n');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=continuous&seq_interval=2&since=1-a')
+        .delay(1000)
+        .reply(200, '');
+
+      const iter = nockDb.changes({feed: 'continuous', seq_interval: 2, since: 0, envelope: 'item'}).toAsyncIterator();
+      expect(yield iter.nextValue()).to.deep.equal({seq: '1-a', id: 'a', changes: [], last_seq: '1-a'});
+      expect(yield iter.nextValue()).to.deep.equal({seq: null, id: 'b', changes: [], last_seq: '1-a'});
+      expect((yield iter.nextValue()).id).to.equal('b');
+      iter.unsubscribe();
+    });
+
+    it('should save the last_seq of each batch to a checkpoint', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?seq_interval=10&since=0')
+        .reply(200, '{"results":[{"seq":null,"id":"a","changes":[]},{"seq":null,"id":"b","changes":[]}],"last_seq":"2-b"}');
+
+      let saves = [];
+      const store = {
+        load: () => Rx.Observable.just(undefined),
+        save: seq => Rx.Observable.defer(() => {
+          saves.push(seq);
+          return Rx.Observable.just(true);
+        })
+      };
+
+      const changes = nockDb.changes({checkpoint: store, commit: 'ack', seq_interval: 10, since: 0, envelope: 'batch'});
+      const batches = yield changes.toArray().shouldGenerateOneValue();
+      expect(batches.length).to.equal(1);
+      expect(() => changes.ack(batches[0].results[0]))
+        .to.throw('rxCouch.db.changes: ack requires a change with a seq');
+
+      yield changes.ack(batches[0]).shouldGenerateOneValue();
+      expect(saves).to.deep.equal(['2-b']);
+    });
+  });
+
+  describe('.changes()', () => {
+    it('should throw if options is not an object', () => {
+      expect(() => db.changes('blah')).to.throw('rxCouch.db.changes: options must be an object');
+    });
+
+    it('should return summary information about all documents with no query options', function * () {
+      const iter = db.changes()
+        .skip(1)
+        .map(result => {
+          result.changes = 'changes suppressed';
+          return result;
+        })
+        .toAsyncIterator();
+        // Previous tests add one document with random ID.
+        // Skip that since it will be hard to match.
+
+      expect(yield iter.nextValue()).to.deep.equal({
+        changes: 'changes suppressed',
+        id: 'testing234',
+        seq: 3
+      });
+
+      expect(yield iter.nextValue()).to.deep.equal({
+        changes: 'changes suppressed',
+        id: 'update-test-2',
+        seq: 6
+      });
+
+      expect(yield iter.nextValue()).to.deep.equal({
+        changes: 'changes suppressed',
+        id: 'update-test',
+        seq: 7
+      });
+
+      expect(yield iter.nextValue()).to.deep.equal({
+        changes: 'changes suppressed',
+        id: 'replace-test-2',
+        seq: 9
+      });
+
+      expect(yield iter.nextValue()).to.deep.equal({
+        changes: 'changes suppressed',
+        id: 'replace-test',
+        seq: 10
+      });
+
+      expect(yield iter.nextValue()).to.deep.equal({
+        changes: 'changes suppressed',
+        deleted: true,
+        id: 'testing123',
+        seq: 11
+      });
+
+      yield iter.shouldComplete();
+    });
+
+    it('should return full document values for some documents with appropriate query parameters', function * () {
+      const iter = db.changes({
+        doc_ids: ['testing123', 'testing234'],
+        filter: '_doc_ids',
+        include_docs: true
+      })
+        .map(result => {
+          result.changes = 'changes suppressed';
+          result.doc._rev = 'rev ID suppressed';
+          return result;
+        })
+        .toAsyncIterator();
+
+      expect(yield iter.nextValue()).to.deep.equal({
+        changes: 'changes suppressed',
+        doc: {
+          _id: 'testing234',
+          _rev: 'rev ID suppressed',
+          foo: 'bar'
+        },
+        id: 'testing234',
+        seq: 3
+      });
+
+      expect(yield iter.nextValue()).to.deep.equal({
+        changes: 'changes suppressed',
+        deleted: true,
+        doc: {
+          _deleted: true,
+          _id: 'testing123',
+          _rev: 'rev ID suppressed'
+        },
+        id: 'testing123',
+        seq: 11
+      });
+
+      yield iter.shouldComplete();
+    });
+
+    it('should continuously monitor the database if feed: longpoll is used', function * () {
+      const iter = db.changes({
+        doc_ids: ['testing234'],
+        feed: 'longpoll',
+        filter: '_doc_ids',
+        include_docs: true
+      })
+        .map(result => {
+          result.changes = 'changes suppressed';
+          result.doc._rev = 'rev ID suppressed';
+          return result;
+        })
+        .toAsyncIterator();
 
       expect(yield iter.nextValue()).to.deep.equal({
         changes: 'changes suppressed',
@@ -801,6 +3138,19 @@ describe('rx-couch.db()', () => {
 
       iter.unsubscribe();
     });
+
+    it('should close a pending longpoll connection when unsubscribed', function * () {
+      const silent = yield startSilentServer();
+      try {
+        const silentDb = new RxCouch(silent.url).db('test-rx-couch-db');
+        const subscription = silentDb.changes({feed: 'longpoll', since: 'now'}).subscribe(() => {});
+        const request = yield silent.request;
+        subscription.dispose();
+        yield request.closed;
+      } finally {
+        silent.server.close();
+      }
+    });
   });
 
   describe('.observe()', () => {
@@ -957,6 +3307,170 @@ describe('rx-couch.db()', () => {
       iter2.unsubscribe();
     });
 
+    it('should send an onError message if the changes feed fails', function * () {
+      const server = new RxCouch('http://localhost:5979');
+      const db = server.db('test-rx-couch-db');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc-a')
+        .reply(200, '{"_id":"doc-a","_rev":"1-a","value":1}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query({doc_ids: '["doc-a"]', feed: 'longpoll', filter: '_doc_ids', include_docs: 'true'})
+        .reply(401, '{"error":"unauthorized","reason":"You are not authorized to access this db."}');
+
+      const iter = db.observe('doc-a').toAsyncIterator();
+      expect((yield iter.nextValue()).value).to.equal(1);
+
+      const err = yield iter.shouldThrow();
+      expect(err).to.be.an.instanceof(RxCouch.UnauthorizedError);
+      expect(db._dbDoesNotSupportDocIdsFilter).to.equal(undefined);
+        // Hacky: Sniffing the implementation details.
+      expect(db._sharedChangesFeed).to.equal(undefined);
+    });
+
+    it('should fall back to an unfiltered feed from the last sequence seen', function * () {
+      const server = new RxCouch('http://localhost:5979');
+      const db = server.db('test-rx-couch-db');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc-a')
+        .reply(200, '{"_id":"doc-a","_rev":"1-a","value":1}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query({doc_ids: '["doc-a"]', feed: 'longpoll', filter: '_doc_ids', include_docs: 'true'})
+        .reply(200, '{"results":[{"seq":5,"id":"doc-a","changes":[{"rev":"2-a"}],"doc":{"_id":"doc-a","_rev":"2-a","value":2}}],"last_seq":5}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query({doc_ids: '["doc-a"]', feed: 'longpoll', filter: '_doc_ids', include_docs: 'true', since: '5'})
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":5}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc-b')
+        .reply(200, '{"_id":"doc-b","_rev":"1-b","value":1}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query({doc_ids: '["doc-a","doc-b"]', feed: 'longpoll', filter: '_doc_ids', include_docs: 'true', since: '5'})
+        .reply(400, '{"error":"bad_request","reason":"unknown filter"}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&include_docs=true&since=5')
+        .reply(200, '{"results":[{"seq":6,"id":"doc-b","changes":[{"rev":"2-b"}],"doc":{"_id":"doc-b","_rev":"2-b","value":2}}],"last_seq":6}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&include_docs=true&since=6')
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":6}');
+
+      const iterA = db.observe('doc-a').toAsyncIterator();
+      expect((yield iterA.nextValue()).value).to.equal(1);
+      expect((yield iterA.nextValue()).value).to.equal(2);
+
+      const iterB = db.observe('doc-b').toAsyncIterator();
+      expect((yield iterB.nextValue()).value).to.equal(1);
+      expect((yield iterB.nextValue()).value).to.equal(2);
+      expect(db._dbDoesNotSupportDocIdsFilter).to.equal(true);
+
+      iterA.unsubscribe();
+      iterB.unsubscribe();
+    });
+
+    it('should follow all observed documents with a single changes feed', function * () {
+      const server = new RxCouch('http://localhost:5979');
+      const db = server.db('test-rx-couch-db');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc-a')
+        .reply(200, '{"_id":"doc-a","_rev":"1-a","value":1}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc-b')
+        .reply(200, '{"_id":"doc-b","_rev":"1-b","value":1}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query({doc_ids: '["doc-a","doc-b"]', feed: 'longpoll', filter: '_doc_ids', include_docs: 'true'})
+        .reply(200, '{"results":[{"seq":5,"id":"doc-b","changes":[{"rev":"2-b"}],"doc":{"_id":"doc-b","_rev":"2-b","value":2}}],"last_seq":5}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query({doc_ids: '["doc-a","doc-b"]', feed: 'longpoll', filter: '_doc_ids', include_docs: 'true', since: '5'})
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":5}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query({doc_ids: '["doc-b"]', feed: 'longpoll', filter: '_doc_ids', include_docs: 'true', since: '5'})
+        .reply(200, '{"results":[{"seq":6,"id":"doc-b","changes":[{"rev":"3-b"}],"doc":{"_id":"doc-b","_rev":"3-b","value":3}}],"last_seq":6}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query({doc_ids: '["doc-b"]', feed: 'longpoll', filter: '_doc_ids', include_docs: 'true', since: '6'})
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":6}');
+
+      const iterA = db.observe('doc-a').toAsyncIterator();
+      const iterB = db.observe('doc-b').toAsyncIterator();
+
+      expect((yield iterA.nextValue()).value).to.equal(1);
+      expect((yield iterB.nextValue()).value).to.equal(1);
+      expect((yield iterB.nextValue()).value).to.equal(2);
+
+      const fetchCount = db._changesFetchCount;
+        // Hacky: Sniffing the implementation details.
+
+      iterA.unsubscribe();
+        // Restarts the feed without doc-a.
+
+      expect((yield iterB.nextValue()).value).to.equal(3);
+      expect(db._changesFetchCount).to.equal(fetchCount + 2);
+
+      iterB.unsubscribe();
+      expect(db._sharedChangesFeed).to.equal(undefined);
+    });
+
+    it('should share the feed among observers of the same document', function * () {
+      const server = new RxCouch('http://localhost:5979');
+      const db = server.db('test-rx-couch-db');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc-a')
+        .reply(200, '{"_id":"doc-a","_rev":"1-a","value":1}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/doc-a')
+        .reply(200, '{"_id":"doc-a","_rev":"2-a","value":2}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query({doc_ids: '["doc-a"]', feed: 'longpoll', filter: '_doc_ids', include_docs: 'true'})
+        .reply(200, '{"results":[{"seq":2,"id":"doc-a","changes":[{"rev":"2-a"}],"doc":{"_id":"doc-a","_rev":"2-a","value":2}}],"last_seq":2}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query({doc_ids: '["doc-a"]', feed: 'longpoll', filter: '_doc_ids', include_docs: 'true', since: '2'})
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":2}');
+
+      const iter1 = db.observe('doc-a').map(doc => doc.value).toAsyncIterator();
+      const iter2 = db.observe('doc-a').map(doc => doc.value).toAsyncIterator();
+
+      expect(yield iter1.nextValue()).to.equal(1);
+      expect(yield iter1.nextValue()).to.equal(2);
+      expect(yield iter2.nextValue()).to.equal(2);
+      expect(db._changesFetchCount).to.equal(2);
+
+      iter1.unsubscribe();
+      expect(db._sharedChangesFeed).to.not.equal(undefined);
+      iter2.unsubscribe();
+      expect(db._sharedChangesFeed).to.equal(undefined);
+    });
+
     it('should return a placeholder if the document is deleted', function * () {
       let revId;
 
@@ -984,4 +3498,395 @@ describe('rx-couch.db()', () => {
       });
     });
   });
+
+  describe('.observeQuery()', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should throw if options are invalid', () => {
+      expect(() => nockDb.observeQuery({allDocs: true}, 'fast'))
+        .to.throw('rxCouch.db.observeQuery: options, if present, must be an object');
+      expect(() => nockDb.observeQuery({allDocs: true}, {debounce: -1}))
+        .to.throw('rxCouch.db.observeQuery: options.debounce, if present, must be a non-negative number');
+    });
+
+    it('should re-query an allDocs range only after a change in the range', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db')
+        .reply(200, '{"db_name":"test-rx-couch-db","update_seq":10}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_all_docs')
+        .query({startkey: '"order:"', endkey: '"order:\ufff0"'})
+        .reply(200, '{"total_rows":3,"offset":1,"rows":[{"id":"order:1","key":"order:1","value":{"rev":"1-a"}}]}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=10')
+        .reply(200, '{"results":[{"seq":11,"id":"customer:1","changes":[{"rev":"1-c"}]}],"last_seq":11}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=11')
+        .delay(100)
+        .reply(200, '{"results":[{"seq":12,"id":"order:2","changes":[{"rev":"1-b"}]}],"last_seq":12}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=12')
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":12}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db')
+        .reply(200, '{"db_name":"test-rx-couch-db","update_seq":12}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_all_docs')
+        .query({startkey: '"order:"', endkey: '"order:\ufff0"'})
+        .reply(200, '{"total_rows":4,"offset":1,"rows":[{"id":"order:1","key":"order:1","value":{"rev":"1-a"}},' +
+          '{"id":"order:2","key":"order:2","value":{"rev":"1-b"}}]}');
+
+      const iter = nockDb.observeQuery({allDocs: true, options: {startkey: 'order:', endkey: 'order:\ufff0'}}, {debounce: 10})
+        .toAsyncIterator();
+
+      const first = yield iter.nextValue();
+      expect(first.rows.map(row => row.id)).to.deep.equal(['order:1']);
+      expect(first.added.map(row => row.id)).to.deep.equal(['order:1']);
+
+      const second = yield iter.nextValue();
+      expect(second.rows.map(row => row.id)).to.deep.equal(['order:1', 'order:2']);
+      expect(second.added).to.deep.equal([{id: 'order:2', key: 'order:2', value: {rev: '1-b'}}]);
+      expect(second.removed).to.deep.equal([]);
+      expect(second.changed).to.deep.equal([]);
+
+      iter.unsubscribe();
+      expect(nock.isDone()).to.equal(true);
+    });
+
+    it('should follow a Mango query and the documents in its result', function * () {
+      const selector = {type: 'order', customer: 'c1'};
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db')
+        .reply(200, '{"db_name":"test-rx-couch-db","update_seq":"20-x"}');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_find', {selector: selector})
+        .reply(200, '{"docs":[{"_id":"o1","_rev":"1-a","type":"order","customer":"c1"}]}');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_changes?feed=longpoll&since=20-x&filter=_selector', {selector: selector})
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":"20-x"}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query({doc_ids: '["o1"]', feed: 'longpoll', since: '20-x', filter: '_doc_ids'})
+        .reply(200, '{"results":[{"seq":"21-y","id":"o1","changes":[{"rev":"2-a"}]}],"last_seq":"21-y"}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query({doc_ids: '["o1"]', feed: 'longpoll', since: '21-y', filter: '_doc_ids'})
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":"21-y"}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db')
+        .reply(200, '{"db_name":"test-rx-couch-db","update_seq":"21-y"}');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_find', {selector: selector})
+        .reply(200, '{"docs":[]}');
+
+      const iter = nockDb.observeQuery({selector: selector}, {debounce: 0}).toAsyncIterator();
+
+      const first = yield iter.nextValue();
+      expect(first.rows).to.deep.equal([{_id: 'o1', _rev: '1-a', type: 'order', customer: 'c1'}]);
+
+      const second = yield iter.nextValue();
+      expect(second).to.deep.equal({
+        rows: [],
+        added: [],
+        removed: [{_id: 'o1', _rev: '1-a', type: 'order', customer: 'c1'}],
+        changed: []
+      });
+
+      iter.unsubscribe();
+    });
+  });
+
+  describe('.mirror()', () => {
+    const nockDb = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should throw if options are invalid', () => {
+      expect(() => nockDb.mirror('config')).to.throw('rxCouch.db.mirror: options, if present, must be an object');
+      expect(() => nockDb.mirror({startkey: 1})).to.throw('rxCouch.db.mirror: options.startkey, if present, must be a string');
+      expect(() => nockDb.mirror({doc_ids: ['a'], endkey: 'b'}))
+        .to.throw('rxCouch.db.mirror: options.doc_ids can not be combined with startkey or endkey');
+      expect(() => nockDb.mirror({filter: {type: 'flag'}})).to.throw('rxCouch.db.mirror: options.filter, if present, must be a function');
+      expect(() => nockDb.mirror({feed: 'eventsource'}))
+        .to.throw('rxCouch.db.mirror: options.feed, if present, must be "longpoll" or "continuous"');
+    });
+
+    it('should load documents, then apply changes from the feed', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db')
+        .reply(200, '{"db_name":"test-rx-couch-db","update_seq":7}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_all_docs')
+        .query({include_docs: 'true', startkey: '"flag:"', endkey: '"flag:\ufff0"'})
+        .reply(200, JSON.stringify({
+          total_rows: 4,
+          offset: 0,
+          rows: [
+            {id: 'flag:a', key: 'flag:a', value: {rev: '1-a'}, doc: {_id: 'flag:a', _rev: '1-a', on: true}},
+            {id: 'flag:b', key: 'flag:b', value: {rev: '1-b'}, doc: {_id: 'flag:b', _rev: '1-b', on: false}},
+            {id: 'flag:c', key: 'flag:c', value: {rev: '1-c'}, doc: {_id: 'flag:c', _rev: '1-c', on: true, retired: true}}
+          ]
+        }));
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=7&include_docs=true')
+        .reply(200, JSON.stringify({
+          results: [
+            {seq: 8, id: 'other', changes: [], doc: {_id: 'other', _rev: '1-o'}},
+            {seq: 9, id: 'flag:b', changes: [], doc: {_id: 'flag:b', _rev: '2-b', on: true}},
+            {seq: 10, id: 'flag:a', changes: [], deleted: true, doc: {_id: 'flag:a', _rev: '2-a', _deleted: true}},
+            {seq: 11, id: 'flag:d', changes: [], doc: {_id: 'flag:d', _rev: '1-d', on: true, retired: true}}
+          ],
+          last_seq: 11
+        }));
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=11&include_docs=true')
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":11}');
+
+      const mirror = nockDb.mirror({startkey: 'flag:', endkey: 'flag:\ufff0', filter: doc => !doc.retired});
+      expect(mirror.isReady()).to.equal(false);
+
+      const changesIter = mirror.changes.toAsyncIterator();
+
+      expect(yield mirror.ready.shouldGenerateOneValue()).to.equal(true);
+      expect(mirror.isReady()).to.equal(true);
+
+      expect(mirror.get('flag:a')).to.deep.equal({_id: 'flag:a', _rev: '1-a', on: true});
+      expect(mirror.has('flag:c')).to.equal(false);
+      expect(mirror.all().map(doc => doc._id)).to.deep.equal(['flag:a', 'flag:b']);
+
+      expect(yield changesIter.nextValue()).to.deep.equal({
+        id: 'flag:b',
+        doc: {_id: 'flag:b', _rev: '2-b', on: true},
+        deleted: false,
+        seq: 9
+      });
+      expect(yield changesIter.nextValue()).to.deep.equal({id: 'flag:a', doc: undefined, deleted: true, seq: 10});
+
+      yield Rx.Observable.timer(10).shouldGenerateOneValue();
+        // Let the last change (which is filtered out) be applied.
+
+      expect(mirror.has('other')).to.equal(false);
+      expect(mirror.has('flag:d')).to.equal(false);
+      expect(mirror.query(doc => doc.on).map(doc => doc._id)).to.deep.equal(['flag:b']);
+      expect(mirror.lastSeq()).to.equal(11);
+
+      mirror.dispose();
+      yield changesIter.shouldComplete();
+    });
+
+    it('should report a failed load via ready', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db')
+        .reply(401, '{"error":"unauthorized","reason":"Name or password is incorrect."}');
+
+      const err = yield nockDb.mirror().ready.shouldThrow();
+      expect(err).to.be.an.instanceof(RxCouch.UnauthorizedError);
+    });
+  });
+
+  describe('.observeMany()', () => {
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    const changesQuery = (ids, since) => {
+      let query = {doc_ids: JSON.stringify(ids), feed: 'longpoll', filter: '_doc_ids', include_docs: 'true'};
+      if (since !== undefined) {
+        query.since = since;
+      }
+      return query;
+    };
+
+    it('should throw if ids is invalid', () => {
+      expect(() => db.observeMany('testing234')).to.throw('rxCouch.db.observeMany: ids must be an array');
+      expect(() => db.observeMany(['testing234', 42])).to.throw('rxCouch.db.observeMany: invalid document ID');
+      expect(() => db.observeMany(['_local/x'])).to.throw('rxCouch.db.observeMany: _local documents do not appear in the changes feed');
+      expect(() => db.observeMany([], 'deltas')).to.throw('rxCouch.db.observeMany: options, if present, must be an object');
+      expect(() => db.observeMany([]).add([''])).to.throw('rxCouch.db.observeMany.add: invalid document ID');
+    });
+
+    it('should send an empty map if there are no documents', function * () {
+      const map = yield db.observeMany([]).first().shouldGenerateOneValue();
+      expect(map).to.deep.equal({});
+    });
+
+    it('should send a map of the current documents, then updated maps', function * () {
+      const server = new RxCouch('http://localhost:5979');
+      const db = server.db('test-rx-couch-db');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_get', {docs: [{id: 'doc-a'}, {id: 'doc-b'}, {id: 'doc-c'}]})
+        .reply(200, JSON.stringify({
+          results: [
+            {id: 'doc-a', docs: [{ok: {_id: 'doc-a', _rev: '1-a', value: 1}}]},
+            {id: 'doc-b', docs: [{error: {id: 'doc-b', rev: 'undefined', error: 'not_found', reason: 'missing'}}]},
+            {id: 'doc-c', docs: [{ok: {_id: 'doc-c', _rev: '2-c', _deleted: true}}]}
+          ]
+        }));
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query(changesQuery(['doc-a', 'doc-b', 'doc-c']))
+        .reply(200, JSON.stringify({
+          results: [
+            {seq: 3, id: 'doc-a', changes: [{rev: '1-a'}], doc: {_id: 'doc-a', _rev: '1-a', value: 1}},
+            {seq: 4, id: 'doc-b', changes: [{rev: '1-b'}], doc: {_id: 'doc-b', _rev: '1-b', value: 2}}
+          ],
+          last_seq: 4
+        }));
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query(changesQuery(['doc-a', 'doc-b', 'doc-c'], '4'))
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":4}');
+
+      const iter = db.observeMany(['doc-a', 'doc-b', 'doc-c', 'doc-a']).toAsyncIterator();
+
+      expect(yield iter.nextValue()).to.deep.equal({
+        'doc-a': {_id: 'doc-a', _rev: '1-a', value: 1},
+        'doc-b': {_id: 'doc-b', _empty: true},
+        'doc-c': {_id: 'doc-c', _empty: true}
+      });
+
+      expect(yield iter.nextValue()).to.deep.equal({
+        'doc-a': {_id: 'doc-a', _rev: '1-a', value: 1},
+        'doc-b': {_id: 'doc-b', _rev: '1-b', value: 2},
+        'doc-c': {_id: 'doc-c', _empty: true}
+      });
+
+      iter.unsubscribe();
+      expect(db._sharedChangesFeed).to.equal(undefined);
+    });
+
+    it('should send deltas and follow added and removed documents', function * () {
+      const server = new RxCouch('http://localhost:5979');
+      const db = server.db('test-rx-couch-db');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_get', {docs: [{id: 'doc-a'}]})
+        .reply(200, '{"results":[{"id":"doc-a","docs":[{"ok":{"_id":"doc-a","_rev":"1-a","value":1}}]}]}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query(changesQuery(['doc-a']))
+        .delay(100)
+        .reply(200, '{"results":[],"last_seq":5}');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_get', {docs: [{id: 'doc-b'}]})
+        .reply(200, '{"results":[{"id":"doc-b","docs":[{"ok":{"_id":"doc-b","_rev":"1-b","value":2}}]}]}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query(changesQuery(['doc-a', 'doc-b']))
+        .reply(200, '{"results":[{"seq":6,"id":"doc-b","changes":[{"rev":"2-b"}],"doc":{"_id":"doc-b","_rev":"2-b","value":3}}],"last_seq":6}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query(true)
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":6}');
+
+      const feed = db.observeMany(['doc-a'], {deltas: true});
+      const iter = feed.toAsyncIterator();
+
+      expect(yield iter.nextValue()).to.deep.equal({'doc-a': {_id: 'doc-a', _rev: '1-a', value: 1}});
+
+      feed.add(['doc-b']);
+      expect(yield iter.nextValue()).to.deep.equal({'doc-b': {_id: 'doc-b', _rev: '1-b', value: 2}});
+      expect(yield iter.nextValue()).to.deep.equal({'doc-b': {_id: 'doc-b', _rev: '2-b', value: 3}});
+
+      feed.remove(['doc-a']);
+      expect(yield iter.nextValue()).to.deep.equal({'doc-a': null});
+
+      iter.unsubscribe();
+    });
+
+    it('should include documents added during the initial load in the first map', function * () {
+      const server = new RxCouch('http://localhost:5979');
+      const db = server.db('test-rx-couch-db');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_get', {docs: [{id: 'doc-a'}]})
+        .delay(200)
+        .reply(200, '{"results":[{"id":"doc-a","docs":[{"ok":{"_id":"doc-a","_rev":"1-a","value":1}}]}]}');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_get', {docs: [{id: 'doc-b'}]})
+        .reply(200, '{"results":[{"id":"doc-b","docs":[{"ok":{"_id":"doc-b","_rev":"1-b","value":2}}]}]}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query(true)
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":1}');
+
+      let maps = [];
+      const feed = db.observeMany(['doc-a']);
+      const subscription = feed.subscribe(map => maps.push(map));
+      feed.add(['doc-b']);
+
+      yield new Promise(resolve => setTimeout(resolve, 400));
+      subscription.dispose();
+
+      expect(maps).to.deep.equal([{
+        'doc-a': {_id: 'doc-a', _rev: '1-a', value: 1},
+        'doc-b': {_id: 'doc-b', _rev: '1-b', value: 2}
+      }]);
+    });
+
+    it('should send the placeholder for a document that is deleted later', function * () {
+      const server = new RxCouch('http://localhost:5979');
+      const db = server.db('test-rx-couch-db');
+
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db/_bulk_get', {docs: [{id: 'doc-a'}]})
+        .reply(200, '{"results":[{"id":"doc-a","docs":[{"ok":{"_id":"doc-a","_rev":"1-a","value":1}}]}]}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query(changesQuery(['doc-a']))
+        .reply(200, '{"results":[{"seq":2,"id":"doc-a","changes":[{"rev":"2-a"}],"deleted":true,"doc":{"_id":"doc-a","_rev":"2-a","_deleted":true}}],"last_seq":2}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes')
+        .query(changesQuery(['doc-a'], '2'))
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":2}');
+
+      const iter = db.observeMany(['doc-a'], {deltas: true}).toAsyncIterator();
+
+      expect(yield iter.nextValue()).to.deep.equal({'doc-a': {_id: 'doc-a', _rev: '1-a', value: 1}});
+      expect(yield iter.nextValue()).to.deep.equal({'doc-a': {_id: 'doc-a', _empty: true}});
+
+      iter.unsubscribe();
+    });
+  });
 });
@@ -0,0 +1,32 @@
+'use strict';
+
+const expect = require('chai').expect;
+const diff = require('../lib/diff');
+
+describe('rx-couch diff', () => {
+  it('should report no changes for equal values', () => {
+    expect(diff({a: [1, {b: 2}]}, {a: [1, {b: 2}]})).to.deep.equal([]);
+  });
+
+  it('should report added, removed, and changed fields', () => {
+    expect(diff({a: 1, b: 2, c: {d: 3}}, {a: 1, c: {d: 4}, e: 5})).to.deep.equal([
+      {path: ['b'], kind: 'removed', oldValue: 2},
+      {path: ['c', 'd'], kind: 'changed', oldValue: 3, newValue: 4},
+      {path: ['e'], kind: 'added', newValue: 5}
+    ]);
+  });
+
+  it('should compare arrays element by element', () => {
+    expect(diff({a: [1, 2, 3]}, {a: [1, 5]})).to.deep.equal([
+      {path: ['a', 1], kind: 'changed', oldValue: 2, newValue: 5},
+      {path: ['a', 2], kind: 'removed', oldValue: 3}
+    ]);
+    expect(diff([], ['x'])).to.deep.equal([{path: [0], kind: 'added', newValue: 'x'}]);
+  });
+
+  it('should report a change of type as a single change', () => {
+    expect(diff({a: {b: 1}}, {a: [1]})).to.deep.equal([
+      {path: ['a'], kind: 'changed', oldValue: {b: 1}, newValue: [1]}
+    ]);
+  });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const expect = require('chai').expect;
+const liveQuery = require('../lib/liveQuery');
+
+describe('rx-couch live queries', () => {
+  describe('.parse()', () => {
+    const context = 'rxCouch.db.observeQuery';
+
+    it('should throw if the query is malformed', () => {
+      expect(() => liveQuery.parse('orders', context))
+        .to.throw('rxCouch.db.observeQuery: query must be an object');
+      expect(() => liveQuery.parse({allDocs: true, selector: {}}, context))
+        .to.throw('rxCouch.db.observeQuery: query must have exactly one of allDocs, view, or selector');
+      expect(() => liveQuery.parse({allDocs: {startkey: 'a'}}, context))
+        .to.throw('rxCouch.db.observeQuery: query.allDocs must be true');
+      expect(() => liveQuery.parse({view: 'by_customer'}, context))
+        .to.throw('rxCouch.db.observeQuery: query.view must be of the form "ddoc/view"');
+      expect(() => liveQuery.parse({view: 'orders/totals', options: {group: true}}, context))
+        .to.throw('rxCouch.db.observeQuery: reduced view queries are not supported');
+      expect(() => liveQuery.parse({selector: {type: 'order'}, options: {fields: ['total']}}, context))
+        .to.throw('rxCouch.db.observeQuery: query.options.fields, if present, must include _id');
+    });
+
+    it('should split a view name into design document and view', () => {
+      expect(liveQuery.parse({view: '_design/orders/by_customer', options: {key: 'c1'}}, 'x')).to.deep.equal({
+        kind: 'view',
+        options: {key: 'c1'},
+        ddoc: 'orders',
+        viewName: 'by_customer'
+      });
+    });
+  });
+
+  describe('.isInRange()', () => {
+    it('should check ascending ranges', () => {
+      const options = {startkey: 'order:', endkey: 'order:\ufff0'};
+      expect(liveQuery.isInRange('order:17', options)).to.equal(true);
+      expect(liveQuery.isInRange('customer:1', options)).to.equal(false);
+      expect(liveQuery.isInRange('b', {endkey: 'b', inclusive_end: false})).to.equal(false);
+      expect(liveQuery.isInRange('b', {endkey: 'b'})).to.equal(true);
+    });
+
+    it('should check descending ranges', () => {
+      const options = {startkey: 'm', endkey: 'c', descending: true};
+      expect(liveQuery.isInRange('d', options)).to.equal(true);
+      expect(liveQuery.isInRange('c', options)).to.equal(true);
+      expect(liveQuery.isInRange('n', options)).to.equal(false);
+      expect(liveQuery.isInRange('c', Object.assign({inclusive_end: false}, options))).to.equal(false);
+    });
+
+    it('should check keys and key', () => {
+      expect(liveQuery.isInRange('a', {keys: ['a', 'b']})).to.equal(true);
+      expect(liveQuery.isInRange('c', {keys: ['a', 'b']})).to.equal(false);
+      expect(liveQuery.isInRange('a', {key: 'a'})).to.equal(true);
+    });
+  });
+
+  describe('.diffRows()', () => {
+    it('should report added, removed, and changed rows', () => {
+      const rowKey = liveQuery.rowKeyFor('selector');
+      const oldRows = [{_id: 'a', _rev: '1-a'}, {_id: 'b', _rev: '1-b'}];
+      const newRows = [{_id: 'b', _rev: '2-b'}, {_id: 'c', _rev: '1-c'}];
+      expect(liveQuery.diffRows(oldRows, newRows, rowKey)).to.deep.equal({
+        rows: newRows,
+        added: [{_id: 'c', _rev: '1-c'}],
+        removed: [{_id: 'a', _rev: '1-a'}],
+        changed: [{_id: 'b', _rev: '2-b'}]
+      });
+    });
+
+    it('should tell apart view rows emitted for the same document', () => {
+      const rowKey = liveQuery.rowKeyFor('view');
+      const oldRows = [{id: 'a', key: 1, value: null}];
+      const newRows = [{id: 'a', key: 1, value: null}, {id: 'a', key: 1, value: null}, {id: 'a', key: 2, value: null}];
+      const diff = liveQuery.diffRows(oldRows, newRows, rowKey);
+      expect(diff.added).to.deep.equal([{id: 'a', key: 1, value: null}, {id: 'a', key: 2, value: null}]);
+      expect(diff.removed).to.deep.equal([]);
+      expect(diff.changed).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const expect = require('chai').expect;
+const merge = require('../lib/merge');
+
+describe('rx-couch merge', () => {
+  describe('.validate()', () => {
+    it('should reject malformed options', () => {
+      expect(() => merge.validate(42, 'ctx')).to.throw('ctx: merge, if present, must be an object');
+      expect(() => merge.validate({patch: 'shallow'}, 'ctx'))
+        .to.throw('ctx: merge.patch must be "deep" or "mergePatch"');
+      expect(() => merge.validate({arrays: 'zip'}, 'ctx'))
+        .to.throw('ctx: merge.arrays must be one of "merge", "replace", "concat", "union"');
+      expect(() => merge.validate({unionKey: 1}, 'ctx'))
+        .to.throw('ctx: merge.unionKey, if present, must be a string');
+    });
+  });
+
+  describe('.merge()', () => {
+    const target = {a: 1, nested: {b: 2, c: 3}, tags: ['a', 'b']};
+
+    it('should merge arrays element by element by default', () => {
+      expect(merge.merge(target, {nested: {c: 4}, tags: ['c']})).to.deep.equal({
+        a: 1,
+        nested: {b: 2, c: 4},
+        tags: ['a', 'b', 'c']
+      });
+    });
+
+    it('should not modify its inputs', () => {
+      const source = {nested: {d: 5}, tags: ['x']};
+      merge.merge(target, source, {arrays: 'concat'});
+      expect(target).to.deep.equal({a: 1, nested: {b: 2, c: 3}, tags: ['a', 'b']});
+      expect(source).to.deep.equal({nested: {d: 5}, tags: ['x']});
+    });
+
+    it('should replace arrays', () => {
+      expect(merge.merge(target, {tags: ['c']}, {arrays: 'replace'}).tags).to.deep.equal(['c']);
+    });
+
+    it('should concatenate arrays', () => {
+      expect(merge.merge(target, {tags: ['b', 'c']}, {arrays: 'concat'}).tags).to.deep.equal(['a', 'b', 'b', 'c']);
+    });
+
+    it('should union arrays', () => {
+      expect(merge.merge(target, {tags: ['b', 'c']}, {arrays: 'union'}).tags).to.deep.equal(['a', 'b', 'c']);
+    });
+
+    it('should union arrays of objects by key', () => {
+      const result = merge.merge(
+        {items: [{id: 1, qty: 1, name: 'x'}, {id: 2, qty: 1}]},
+        {items: [{id: 2, qty: 5}, {id: 3, qty: 1}]},
+        {arrays: 'union', unionKey: 'id'});
+
+      expect(result.items).to.deep.equal([{id: 1, qty: 1, name: 'x'}, {id: 2, qty: 5}, {id: 3, qty: 1}]);
+    });
+
+    it('should remove fields set to deleteField', () => {
+      expect(merge.merge(target, {a: merge.deleteField, nested: {b: merge.deleteField}, z: merge.deleteField}))
+        .to.deep.equal({nested: {c: 3}, tags: ['a', 'b']});
+    });
+
+    it('should apply a JSON Merge Patch', () => {
+      expect(merge.merge(target, {a: null, nested: {b: 7}, tags: ['z']}, {patch: 'mergePatch'}))
+        .to.deep.equal({nested: {b: 7, c: 3}, tags: ['z']});
+    });
+  });
+});
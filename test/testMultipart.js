@@ -0,0 +1,51 @@
+'use strict';
+
+const expect = require('chai').expect;
+const multipart = require('../lib/multipart');
+
+describe('rx-couch multipart parser', () => {
+  describe('.boundaryFrom()', () => {
+    it('should read quoted and unquoted boundaries', () => {
+      expect(multipart.boundaryFrom('multipart/related; boundary="abc def"')).to.equal('abc def');
+      expect(multipart.boundaryFrom('multipart/related;boundary=abc')).to.equal('abc');
+      expect(multipart.boundaryFrom('application/json')).to.equal(undefined);
+    });
+  });
+
+  describe('.parse()', () => {
+    it('should split a body into parts with headers', () => {
+      const body = Buffer.from('preamble\r\n--xyz\r\nContent-Type: text/plain\r\n\r\nfirst\r\n' +
+        '--xyz\r\nX-Thing:  two \r\n\r\nsec\r\nond\r\n--xyz--\r\n');
+
+      const parts = multipart.parse(body, 'multipart/mixed; boundary=xyz');
+      expect(parts.length).to.equal(2);
+      expect(parts[0].headers).to.deep.equal({'content-type': 'text/plain'});
+      expect(parts[0].body.toString()).to.equal('first');
+      expect(parts[1].headers).to.deep.equal({'x-thing': 'two'});
+      expect(parts[1].body.toString()).to.equal('sec\r\nond');
+    });
+
+    it('should throw if there is no boundary', () => {
+      expect(() => multipart.parse(Buffer.from(''), 'multipart/related'))
+        .to.throw('rxCouch: multipart response has no boundary');
+    });
+
+    it('should throw if the body is truncated', () => {
+      expect(() => multipart.parse(Buffer.from('--xyz\r\n\r\nfirst'), 'multipart/related; boundary=xyz'))
+        .to.throw('rxCouch: malformed multipart response');
+    });
+  });
+
+  describe('.parseDocument()', () => {
+    it('should match attachments by position if they are not named', () => {
+      const body = Buffer.from('--b\r\nContent-Type: application/json\r\n\r\n' +
+        '{"_id":"d","_attachments":{"x":{"stub":true},"y":{"follows":true},"z":{"follows":true}}}\r\n' +
+        '--b\r\n\r\nwhy\r\n--b\r\n\r\nzed\r\n--b--');
+
+      const doc = multipart.parseDocument(body, 'multipart/related; boundary=b');
+      expect(doc._attachments.x).to.deep.equal({stub: true});
+      expect(doc._attachments.y.data.toString()).to.equal('why');
+      expect(doc._attachments.z.data.toString()).to.equal('zed');
+    });
+  });
+});
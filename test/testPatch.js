@@ -0,0 +1,57 @@
+'use strict';
+
+const expect = require('chai').expect;
+const patch = require('../lib/patch');
+
+describe('rx-couch JSON Patch', () => {
+  describe('.validate()', () => {
+    it('should reject malformed operations', () => {
+      expect(() => patch.validate({}, 'ctx')).to.throw('ctx: ops must be an array');
+      expect(() => patch.validate([{op: 'frob', path: '/a'}], 'ctx')).to.throw('ctx: invalid patch operation');
+      expect(() => patch.validate([{op: 'remove'}], 'ctx')).to.throw('ctx: patch operation is missing path');
+      expect(() => patch.validate([{op: 'move', path: '/a'}], 'ctx')).to.throw('ctx: patch operation is missing from');
+      expect(() => patch.validate([{op: 'add', path: '/a'}], 'ctx')).to.throw('ctx: patch operation is missing value');
+      expect(() => patch.validate([{op: 'remove', path: 'a'}], 'ctx')).to.throw('rxCouch: invalid JSON pointer "a"');
+    });
+  });
+
+  describe('.apply()', () => {
+    const doc = {a: {b: 1}, list: [1, 2, 3], 'x/y': true};
+
+    it('should apply each kind of operation', () => {
+      const result = patch.apply(doc, [
+        {op: 'add', path: '/a/c', value: 2},
+        {op: 'add', path: '/list/-', value: 4},
+        {op: 'add', path: '/list/0', value: 0},
+        {op: 'remove', path: '/list/1'},
+        {op: 'replace', path: '/x~1y', value: false},
+        {op: 'copy', from: '/a', path: '/copied'},
+        {op: 'move', from: '/a/b', path: '/moved'},
+        {op: 'test', path: '/moved', value: 1}
+      ]);
+
+      expect(result).to.deep.equal({
+        a: {c: 2},
+        list: [0, 2, 3, 4],
+        'x/y': false,
+        copied: {b: 1, c: 2},
+        moved: 1
+      });
+      expect(doc).to.deep.equal({a: {b: 1}, list: [1, 2, 3], 'x/y': true});
+    });
+
+    it('should throw if a test fails', () => {
+      expect(() => patch.apply(doc, [{op: 'test', path: '/a/b', value: 2}]))
+        .to.throw('rxCouch: patch test failed at "/a/b"');
+    });
+
+    it('should throw if a path does not exist', () => {
+      expect(() => patch.apply(doc, [{op: 'remove', path: '/nope'}]))
+        .to.throw('rxCouch: patch path "/nope" does not exist');
+      expect(() => patch.apply(doc, [{op: 'replace', path: '/list/3', value: 1}]))
+        .to.throw('rxCouch: patch path "/list/3" does not exist');
+      expect(() => patch.apply(doc, [{op: 'add', path: '/q/r', value: 1}]))
+        .to.throw('rxCouch: patch path "/q/r" does not exist');
+    });
+  });
+});
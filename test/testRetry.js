@@ -0,0 +1,243 @@
+'use strict';
+
+require('co-mocha');
+require('rx-to-async-iterator');
+
+const Rx = require('rx');
+const expect = require('chai').expect;
+const nock = require('nock');
+const RxCouch = require('../lib/server');
+const retry = require('../lib/retry');
+
+const onNext = Rx.ReactiveTest.onNext;
+const onError = Rx.ReactiveTest.onError;
+const onCompleted = Rx.ReactiveTest.onCompleted;
+
+const makeError = status =>
+  new RxCouch.ServerError({status: status, statusText: 'Oops'}, {}, 'GET', 'http://localhost:5979/x');
+
+// Return an Observable which fails with each of the given errors on
+// successive subscriptions, then succeeds with 'ok'.
+
+const failThenSucceed = errs => {
+  let subscriptionCount = 0;
+  const source = Rx.Observable.defer(() => {
+    const err = errs[subscriptionCount++];
+    return err ? Rx.Observable.throw(err) : Rx.Observable.just('ok');
+  });
+  source.subscriptionCount = () => subscriptionCount;
+  return source;
+};
+
+describe('rx-couch retry policy', () => {
+  describe('.resolve()', () => {
+    it('should not retry if neither server nor call specifies a policy', () => {
+      expect(retry.resolve(undefined, undefined)).to.equal(undefined);
+    });
+
+    it('should use the default policy if retry is true', () => {
+      expect(retry.resolve(true, undefined)).to.deep.equal(retry.defaultPolicy);
+    });
+
+    it('should let the call override the server policy', () => {
+      const policy = retry.resolve({maxAttempts: 5, initialDelay: 10}, {initialDelay: 20});
+      expect(policy.maxAttempts).to.equal(5);
+      expect(policy.initialDelay).to.equal(20);
+      expect(policy.factor).to.equal(retry.defaultPolicy.factor);
+    });
+
+    it('should let the call disable retries', () => {
+      expect(retry.resolve({maxAttempts: 5}, false)).to.equal(undefined);
+    });
+  });
+
+  describe('.resolveReconnect()', () => {
+    it('should reconnect without limit by default', () => {
+      const policy = retry.resolveReconnect(undefined, undefined, undefined);
+      expect(policy.maxAttempts).to.equal(Infinity);
+      expect(policy.initialDelay).to.equal(retry.defaultPolicy.initialDelay);
+    });
+
+    it('should take backoff settings from the retry options', () => {
+      const policy = retry.resolveReconnect({maxAttempts: 5, initialDelay: 10}, {maxDelay: 20}, {maxAttempts: 8});
+      expect(policy.maxAttempts).to.equal(8);
+      expect(policy.initialDelay).to.equal(10);
+      expect(policy.maxDelay).to.equal(20);
+    });
+
+    it('should not reconnect if reconnect is false', () => {
+      expect(retry.resolveReconnect(true, undefined, false)).to.equal(undefined);
+    });
+  });
+
+  describe('.computeDelay()', () => {
+    it('should back off exponentially up to maxDelay', () => {
+      const policy = Object.assign({}, retry.defaultPolicy, {initialDelay: 100, factor: 2, maxDelay: 500, jitter: 0});
+      expect(retry.computeDelay(policy, 1)).to.equal(100);
+      expect(retry.computeDelay(policy, 2)).to.equal(200);
+      expect(retry.computeDelay(policy, 3)).to.equal(400);
+      expect(retry.computeDelay(policy, 4)).to.equal(500);
+    });
+
+    it('should randomize delays within the jitter fraction', () => {
+      const policy = Object.assign({}, retry.defaultPolicy, {initialDelay: 1000, jitter: 0.5});
+      for (let i = 0; i < 20; i++) {
+        const delay = retry.computeDelay(policy, 1);
+        expect(delay).to.be.within(500, 1000);
+      }
+    });
+  });
+
+  describe('.isRetryable()', () => {
+    it('should retry listed HTTP statuses only', () => {
+      expect(retry.isRetryable(retry.defaultPolicy, makeError(503))).to.equal(true);
+      expect(retry.isRetryable(retry.defaultPolicy, makeError(501))).to.equal(false);
+    });
+
+    it('should retry listed network error codes only', () => {
+      let err = new Error('socket hang up');
+      err.code = 'ECONNRESET';
+      expect(retry.isRetryable(retry.defaultPolicy, err)).to.equal(true);
+
+      let wrappedErr = new TypeError('fetch failed');
+      wrappedErr.cause = {code: 'ECONNREFUSED'};
+      expect(retry.isRetryable(retry.defaultPolicy, wrappedErr)).to.equal(true);
+
+      expect(retry.isRetryable(retry.defaultPolicy, new Error('bogus'))).to.equal(false);
+    });
+  });
+
+  describe('.withRetry()', () => {
+    it('should resubscribe after exponentially increasing delays', () => {
+      const scheduler = new Rx.TestScheduler();
+      const policy = retry.resolve({initialDelay: 100, jitter: 0, maxAttempts: 3, scheduler: scheduler});
+      const source = failThenSucceed([makeError(503), makeError(502)]);
+
+      const results = scheduler.startScheduler(() => retry.withRetry(source, policy));
+
+      expect(results.messages).to.deep.equal([
+        onNext(500, 'ok'),
+        onCompleted(500)
+      ]);
+      expect(source.subscriptionCount()).to.equal(3);
+    });
+
+    it('should give up after maxAttempts', () => {
+      const scheduler = new Rx.TestScheduler();
+      const policy = retry.resolve({initialDelay: 100, jitter: 0, maxAttempts: 2, scheduler: scheduler});
+      const finalErr = makeError(500);
+      const source = failThenSucceed([makeError(503), finalErr]);
+
+      const results = scheduler.startScheduler(() => retry.withRetry(source, policy));
+
+      expect(results.messages).to.deep.equal([
+        onError(300, finalErr)
+      ]);
+      expect(source.subscriptionCount()).to.equal(2);
+    });
+
+    it('should not retry errors that are not transient', () => {
+      const scheduler = new Rx.TestScheduler();
+      const policy = retry.resolve({scheduler: scheduler});
+      const err = new RxCouch.NotFoundError({status: 404, statusText: 'Object Not Found'}, {}, 'GET', 'x');
+      const source = failThenSucceed([err]);
+
+      const results = scheduler.startScheduler(() => retry.withRetry(source, policy));
+
+      expect(results.messages).to.deep.equal([
+        onError(200, err)
+      ]);
+      expect(source.subscriptionCount()).to.equal(1);
+    });
+  });
+
+  describe('with a server', () => {
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('should throw if the retry option is malformed', () => {
+      expect(() => new RxCouch('http://localhost:5979', {retry: 42}))
+        .to.throw('rxCouch: options: retry, if present, must be a boolean or an object');
+      expect(() => new RxCouch('http://localhost:5979', {retry: {maxAttempts: 0}}))
+        .to.throw('rxCouch: options: retry.maxAttempts must be a positive number');
+      expect(() => new RxCouch('http://localhost:5979', {retry: {jitter: 2}}))
+        .to.throw('rxCouch: options: retry.jitter must be a number between 0 and 1');
+    });
+
+    it('should retry reads that fail with a transient error', function * () {
+      nock('http://localhost:5979')
+        .get('/_all_dbs')
+        .reply(503, '{"error":"unavailable"}');
+
+      nock('http://localhost:5979')
+        .get('/_all_dbs')
+        .reply(200, '["_users"]');
+
+      const server = new RxCouch('http://localhost:5979', {retry: {initialDelay: 1}});
+      expect(yield server.allDatabases().shouldGenerateOneValue()).to.deep.equal(['_users']);
+    });
+
+    it('should not retry if the call disables retries', function * () {
+      nock('http://localhost:5979')
+        .get('/_all_dbs')
+        .reply(503, '{"error":"unavailable"}');
+
+      const server = new RxCouch('http://localhost:5979', {retry: {initialDelay: 1}});
+      const err = yield server.allDatabases({retry: false}).shouldThrow();
+      expect(err.status).to.equal(503);
+    });
+
+    it('should retry PUTs that carry a revision ID', function * () {
+      nock('http://localhost:5979')
+        .put('/test-rx-couch-db/doc', '{"foo":"bar"}')
+        .reply(502);
+
+      nock('http://localhost:5979')
+        .put('/test-rx-couch-db/doc', '{"foo":"bar"}')
+        .reply(201, '{"ok":true,"id":"doc","rev":"2-abc"}');
+
+      const db = new RxCouch('http://localhost:5979').db('test-rx-couch-db');
+      const result = yield db.put({_id: 'doc', _rev: '1-abc', foo: 'bar'}, {retry: {initialDelay: 1}})
+        .shouldGenerateOneValue();
+      expect(result.rev).to.equal('2-abc');
+    });
+
+    it('should not retry writes which are not safe to repeat', function * () {
+      nock('http://localhost:5979')
+        .post('/test-rx-couch-db', '{"foo":"bar"}')
+        .reply(503);
+
+      const server = new RxCouch('http://localhost:5979', {retry: {initialDelay: 1}});
+      const err = yield server.db('test-rx-couch-db').put({foo: 'bar'}).shouldThrow();
+      expect(err.status).to.equal(503);
+    });
+
+    it('should keep a longpoll changes feed alive through a transient failure', function * () {
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=now')
+        .reply(200, '{"results":[{"seq":1,"id":"a","changes":[]}],"last_seq":1}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=1')
+        .reply(503);
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=1')
+        .reply(200, '{"results":[{"seq":2,"id":"b","changes":[]}],"last_seq":2}');
+
+      nock('http://localhost:5979')
+        .get('/test-rx-couch-db/_changes?feed=longpoll&since=2')
+        .delay(1000)
+        .reply(200, '{"results":[],"last_seq":2}');
+
+      const server = new RxCouch('http://localhost:5979', {retry: {initialDelay: 1}});
+      const iter = server.db('test-rx-couch-db').changes({feed: 'longpoll', since: 'now'}).toAsyncIterator();
+
+      expect((yield iter.nextValue()).id).to.equal('a');
+      expect((yield iter.nextValue()).id).to.equal('b');
+
+      iter.unsubscribe();
+    });
+  });
+});
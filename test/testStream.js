@@ -0,0 +1,83 @@
+'use strict';
+
+require('co-mocha');
+require('rx-to-async-iterator');
+
+const Rx = require('rx');
+const expect = require('chai').expect;
+const stream = require('../lib/stream');
+const RowParser = stream.RowParser;
+
+describe('rx-couch row parser', () => {
+  const text = '{"total_rows":3,"offset":0,"rows":[\r\n' +
+    '{"id":"a","key":"a\\"}[","value":{"rev":"1-x"}},\r\n' +
+    '{"id":"b","key":["b",1],"value":{"rev":"1-y"},"doc":{"x":[1,{"y":2}]}},\r\n' +
+    '{"id":"c","key":"c","value":null}\r\n' +
+    '],"update_seq":"5-abc"}';
+
+  const expectedRows = JSON.parse(text).rows;
+
+  it('should parse rows and envelope from a single chunk', () => {
+    const parser = new RowParser('rows');
+    expect(parser.write(text)).to.deep.equal(expectedRows);
+    expect(parser.end()).to.deep.equal({total_rows: 3, offset: 0, update_seq: '5-abc'});
+  });
+
+  it('should parse rows no matter where chunk boundaries fall', () => {
+    for (let first = 0; first < text.length; first++) {
+      for (let second = first; second < text.length; second += 5) {
+        const parser = new RowParser('rows');
+        const rows = [].concat(
+          parser.write(text.substring(0, first)),
+          parser.write(text.substring(first, second)),
+          parser.write(text.substring(second)));
+
+        expect(rows).to.deep.equal(expectedRows);
+        expect(parser.end()).to.deep.equal({total_rows: 3, offset: 0, update_seq: '5-abc'});
+      }
+    }
+  });
+
+  it('should send each row as soon as it is complete', () => {
+    const parser = new RowParser('rows');
+    const firstRowEnd = text.indexOf('}},') + 2;
+    expect(parser.write(text.substring(0, firstRowEnd))).to.deep.equal([expectedRows[0]]);
+    expect(parser.write(text.substring(firstRowEnd))).to.deep.equal(expectedRows.slice(1));
+  });
+
+  it('should handle an empty array and fields after it', () => {
+    const parser = new RowParser('results');
+    expect(parser.write('{"results":[\n\n],\n"last_seq":"9-xyz","pending":0}\n')).to.deep.equal([]);
+    expect(parser.end()).to.deep.equal({last_seq: '9-xyz', pending: 0});
+  });
+});
+
+describe('rx-couch line and event stream parsing', () => {
+  const Readable = require('stream').Readable;
+
+  const fakeResponse = chunks => {
+    let body = new Readable({read: () => {}});
+    chunks.forEach(chunk => body.push(chunk));
+    body.push(null);
+    return {body: body};
+  };
+
+  it('should split lines across chunk boundaries', function * () {
+    const lines = yield stream.lines(fakeResponse(['a\nb', 'c\r\n\n', 'd']))
+      .toArray()
+      .shouldGenerateOneValue();
+    expect(lines).to.deep.equal(['a', 'bc', '', 'd']);
+  });
+
+  it('should parse server-sent events', function * () {
+    const lineSource = Rx.Observable.from([
+      ': comment', 'event: update', 'data: one', 'data:two', 'id: 7', '', '', 'data: three', ''
+    ]);
+
+    const events = yield stream.serverSentEvents(lineSource).toArray().shouldGenerateOneValue();
+    expect(events).to.deep.equal([
+      {type: 'update', data: 'one\ntwo', id: '7'},
+      {type: 'message', data: 'three', id: '7'}
+    ]);
+  });
+});